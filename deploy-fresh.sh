@@ -78,13 +78,13 @@ DEEPSEEK_API_KEY=your-deepseek-api-key
 # TON Configuration
 TON_ADDRESS=UQBDTEPa2TsufNyTFvpydJH07AlOt48cB7Nyq6rFZ7p6e-wt
 SUBSCRIPTION_DAYS=30
+MONTHLY_PRICE_JPY=150
 
 # TON Console API Key
 TON_API_KEY=your-ton-console-api-key
 
 # USDT Configuration
 USDT_CONTRACT_ADDRESS=your-usdt-contract-address
-USDT_AMOUNT=1
 
 # Webhook Configuration
 WEBHOOK_BASE_URL=https://eigobot.com
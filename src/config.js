@@ -7,6 +7,10 @@ module.exports = {
   // DeepSeek API
   DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
   DEEPSEEK_API_URL: 'https://api.deepseek.com/v1/chat/completions',
+  DEEPSEEK_MAX_CORRECTIONS: 2, // Re-prompts with the validation errors before a lesson response is given up on
+  
+  // Telegram Mini App: maximum age of WebApp initData accepted by the payment webhook
+  WEBAPP_AUTH_MAX_AGE_SECONDS: parseInt(process.env.WEBAPP_AUTH_MAX_AGE_SECONDS) || 86400,
   
   // TON API
   TON_API_KEY: process.env.TON_API_KEY,
@@ -15,9 +19,18 @@ module.exports = {
   TON_ADDRESS: process.env.TON_ADDRESS || 'UQBDTEPa2TsufNyTFvpydJH07AlOt48cB7Nyq6rFZ7p6e-wt',
   SUBSCRIPTION_DAYS: parseInt(process.env.SUBSCRIPTION_DAYS) || 30,
   
+  // Subscription plans, priced in JPY or USD
+  // TON is converted at the live rate in the plan's currency; USDT is the USD price
+  SUBSCRIPTION_PLANS: {
+    trial: { name: 'お試し', days: 7, price: 50, currency: 'JPY' },
+    monthly: { name: '1ヶ月', days: parseInt(process.env.SUBSCRIPTION_DAYS) || 30, price: parseFloat(process.env.MONTHLY_PRICE_JPY) || 150, currency: 'JPY' },
+    quarterly: { name: '3ヶ月', days: 90, price: 400, currency: 'JPY' }, // ~10% off
+    yearly: { name: '1年', days: 365, price: 1500, currency: 'JPY' } // ~17% off
+  },
+  DEFAULT_PLAN: 'monthly',
+  
   // TON Native USDT Configuration (Jetton)
   USDT_CONTRACT_ADDRESS: process.env.USDT_CONTRACT_ADDRESS || 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs', // Native USDT on TON
-  USDT_AMOUNT: parseFloat(process.env.USDT_AMOUNT) || 1.0, // $1.00 USDT
   
   // Database
   DATABASE_PATH: process.env.DATABASE_PATH || './data/bot.db',
@@ -38,8 +51,27 @@ module.exports = {
     5: { name: 'Advanced', description: 'idioms, phrasal verbs' }
   },
   
-  // Daily message schedule (9:00 AM JST)
-  DAILY_MESSAGE_CRON: '0 9 * * *', // 9:00 AM JST (Japan time)
+  // Daily lesson delivery (each user picks a local time and timezone)
+  DELIVERY: {
+    CRON: '*/15 * * * *', // Check every quarter-hour which users are due
+    SLOT_MINUTES: 15, // Delivery times are rounded down to this slot size
+    DEFAULT_TIME: '09:00',
+    DEFAULT_TIMEZONE: process.env.TIMEZONE || 'Asia/Tokyo',
+    CATCH_UP_HOURS: 6, // After downtime, slots missed within this window are still delivered
+    TIME_OPTIONS: ['05:00', '06:00', '07:00', '08:00', '09:00', '10:00', '12:00', '15:00', '18:00', '20:00', '21:00', '22:00'],
+    TIMEZONE_OPTIONS: [
+      { id: 'Asia/Tokyo', name: '日本時間' },
+      { id: 'Asia/Seoul', name: 'ソウル' },
+      { id: 'Asia/Shanghai', name: '北京・台北' },
+      { id: 'Asia/Singapore', name: 'シンガポール' },
+      { id: 'Australia/Sydney', name: 'シドニー' },
+      { id: 'Europe/London', name: 'ロンドン' },
+      { id: 'Europe/Paris', name: 'パリ・ベルリン' },
+      { id: 'America/New_York', name: 'ニューヨーク' },
+      { id: 'America/Los_Angeles', name: 'ロサンゼルス' },
+      { id: 'Pacific/Honolulu', name: 'ハワイ' }
+    ]
+  },
   
   // Grading thresholds
   GRADING: {
@@ -54,7 +86,84 @@ module.exports = {
     INITIAL_DELAY_MS: 3000, // 3 seconds before first check
     RETRY_DELAY_MS: 3000, // 3 seconds between retries
     MAX_ATTEMPTS: 3, // Maximum number of check attempts
-    TRANSACTION_LIMIT: 20 // Number of transactions to fetch from TON API
+    TRANSACTION_LIMIT: 20, // Number of transactions to fetch from TON API
+    AMOUNT_TOLERANCE_PERCENT: parseFloat(process.env.PAYMENT_AMOUNT_TOLERANCE_PERCENT) || 1 // Accepted underpayment (fees, rounding)
+  },
+
+  // Adaptive difficulty (users opt in with 提案 or 自動 in settings)
+  // Promotion and demotion thresholds are far apart and scores are averaged per day,
+  // so one bad day cannot demote anyone; after any change the user is left alone for a while
+  ADAPTIVE_LEVEL: {
+    CRON: process.env.ADAPTIVE_LEVEL_CRON || '0 4 * * *', // Daily, before most lessons
+    WINDOW_DAYS: 7, // Rolling window of user_progress considered
+    MIN_ACTIVE_DAYS: 3, // Days with practice or quizzes needed in the window
+    MIN_ATTEMPTS: 8, // Graded answers needed in the window
+    PROMOTE_SCORE: 85, // Median daily score (0-100) at or above which the level goes up
+    DEMOTE_SCORE: 50, // Median daily score below which the level goes down
+    QUIZ_WEIGHT: 0.4, // Share of quiz accuracy in the combined score (rest: practice grades)
+    COOLDOWN_DAYS: 7 // No new change within this many days of the last one
+  },
+
+  // Weekly learning summary (streak, practice, quizzes, new words)
+  WEEKLY_SUMMARY: {
+    CRON: process.env.WEEKLY_SUMMARY_CRON || '0 20 * * 0' // Sundays 20:00 (TIMEZONE)
+  },
+
+  // Renewal reminders before the paid-through date
+  RENEWAL_REMINDER: {
+    CRON: '0 * * * *', // Hourly
+    DAYS_BEFORE: [3, 1] // Send a reminder 3 days and 1 day before expiry
+  },
+
+  // Spaced-repetition vocabulary review (SM-2)
+  REVIEW: {
+    FIRST_REVIEW_DAYS: 1, // New words are first reviewed the day after the lesson
+    MIN_EASE_FACTOR: 1.3,
+    REMEMBERED_QUALITY: 4, // SM-2 quality for "覚えた"
+    FORGOTTEN_QUALITY: 1, // SM-2 quality for "まだ" (card starts over)
+    DAILY_BLOCK: process.env.REVIEW_IN_DAILY_LESSON !== 'false', // Append due words to the daily lesson
+    DAILY_BLOCK_WORDS: 3 // Words listed in that block
+  },
+
+  // Background payment watcher (auto-activates subscriptions)
+  PAYMENT_WATCHER: {
+    CRON: process.env.PAYMENT_WATCHER_CRON || '* * * * *', // Every minute
+    PAGE_LIMIT: 100, // Transactions/events fetched per TON API page
+    MAX_PAGES: 10 // Pages fetched per poll before continuing on the next run
+  },
+
+  // Payment Intent Configuration (pending payments stored in SQLite)
+  PAYMENT_INTENT: {
+    EXPIRY_HOURS: parseInt(process.env.PAYMENT_INTENT_EXPIRY_HOURS) || 24, // How long an unpaid intent can be checked
+    QUOTE_EXPIRY_MINUTES: parseInt(process.env.PAYMENT_QUOTE_EXPIRY_MINUTES) || 30, // How long a quoted TON amount is honoured
+    MAX_PENDING_PER_USER: 3 // Recent pending intents checked per user and currency (TON and USDT each)
+  },
+
+  // Outbound message queue (persisted in SQLite)
+  MESSAGE_QUEUE: {
+    BATCH_SIZE: 25, // Messages per batch (under Telegram's 30/sec limit)
+    INTERVAL_MS: 1000, // One batch per second
+    MAX_ATTEMPTS: 4, // First try plus 3 retries, then the item is dead-lettered
+    RETRY_DELAY_MS: 5000, // Backoff: RETRY_DELAY_MS × attempt number
+    PER_CHAT_INTERVAL_MS: 1000 // At most one message per chat per second
+  },
+
+  // Graceful shutdown on SIGINT/SIGTERM
+  SHUTDOWN: {
+    TIMEOUT_MS: (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 20) * 1000 // Exit even if draining is not finished by then
+  },
+
+  // TON price oracle (several sources, median with outlier rejection)
+  PRICE_ORACLE: {
+    PROVIDERS: (process.env.PRICE_PROVIDERS || 'coingecko,tonapi').split(',').map(name => name.trim()).filter(Boolean),
+    STATIC_PRICES: { // Used by the "static" provider
+      USD: parseFloat(process.env.PRICE_STATIC_TON_USD) || undefined,
+      JPY: parseFloat(process.env.PRICE_STATIC_TON_JPY) || undefined
+    },
+    CACHE_MS: 5 * 60 * 1000, // Reuse an aggregated price for 5 minutes
+    MAX_STALENESS_MS: (parseInt(process.env.PRICE_MAX_STALENESS_MINUTES) || 60) * 60 * 1000, // Refuse to quote with an older price
+    OUTLIER_PERCENT: 5, // Drop sources further than this from the median
+    TIMEOUT_MS: 5000 // Per-provider request timeout
   },
 
   // TON Amount Conversions
@@ -1,87 +1,116 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const migrator = require('./migrations');
 
 class Database {
   constructor() {
     this.db = null;
+    this.readyPromise = null;
+    this.transactionQueue = Promise.resolve(); // Transactions run one at a time on the shared connection
     this.init();
   }
 
-  async init() {
+  // Open the connection and apply pending migrations, once per process
+  // Calling init() again returns the same promise instead of opening another connection
+  init() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.open().then(() => migrator.migrate(this.db));
+      // Callers see the failure through ready(); this only keeps it from going unhandled
+      this.readyPromise.catch(error => {
+        console.error('❌ Database initialization error:', error.message);
+      });
+    }
+    return this.readyPromise;
+  }
+
+  // Resolves once the connection is open and the schema is migrated
+  ready() {
+    return this.init();
+  }
+
+  open() {
     const config = require('./config');
     const dbPath = config.DATABASE_PATH;
-    this.db = new sqlite3.Database(dbPath, async (err) => {
-      if (err) {
-        console.error('❌ Database connection error:', err.message);
-      } else {
-        console.log('✅ Connected to SQLite database');
-        try {
-          await this.createTables();
-        } catch (error) {
-          console.error('❌ Error creating tables:', error);
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+          console.error('❌ Database connection error:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Connected to SQLite database');
+          resolve();
         }
-      }
+      });
+    });
+  }
+
+  // Run a single statement and resolve with the sqlite3 statement context (lastID, changes)
+  run(query, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this);
+        }
+      });
     });
   }
 
-  createTables() {
-    const queries = [
-      `CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        telegram_user_id TEXT UNIQUE NOT NULL,
-        display_name TEXT,
-        difficulty_level INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      `CREATE TABLE IF NOT EXISTS subscriptions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        telegram_user_id TEXT NOT NULL,
-        status TEXT NOT NULL,
-        expires_at DATETIME,
-        payment_reference TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      `CREATE TABLE IF NOT EXISTS sentences (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        english_text TEXT NOT NULL,
-        japanese_translation TEXT,
-        difficulty_level INTEGER,
-        word_breakdown TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      `CREATE TABLE IF NOT EXISTS user_progress (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        telegram_user_id TEXT NOT NULL,
-        sentence_id INTEGER,
-        user_response TEXT,
-        grade INTEGER,
-        is_correct BOOLEAN,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
+  /**
+   * Run async work inside a transaction: committed if fn resolves, rolled back if it throws
+   * Transactions are queued one at a time; statements issued meanwhile by other callers
+   * run inside the open transaction on the shared connection
+   * @param {Function} fn - Async function issuing the statements
+   * @returns {Promise<*>} What fn resolved with
+   */
+  async transaction(fn) {
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => { release = resolve; });
+    await previous;
 
+    try {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // Run a query and resolve with all rows
+  all(query, params = []) {
     return new Promise((resolve, reject) => {
-      let completed = 0;
-      const total = queries.length;
-
-      queries.forEach((query, index) => {
-        this.db.run(query, (err) => {
-          if (err) {
-            console.error(`❌ Table creation error (${index + 1}):`, err.message);
-            reject(err);
-          } else {
-            completed++;
-            if (completed === total) {
-              console.log('✅ All database tables created successfully');
-              resolve();
-            }
-          }
-        });
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
       });
     });
   }
 
+  // Fold a sentence for duplicate detection: case, width, quotes and spacing do not matter
+  // (migration 005 keeps its own copy for backfilling)
+  normalizeSentenceText(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([.,!?;:])/g, '$1')
+      .trim();
+  }
+
   // CRITICAL FIX: Always fetch fresh user data from database
   async getUser(telegramUserId) {
     return new Promise((resolve, reject) => {
@@ -105,8 +134,10 @@ class Database {
         VALUES (?, ?, 1)
         ON CONFLICT(telegram_user_id) DO UPDATE SET
         display_name = excluded.display_name,
+        is_active = 1,
         updated_at = CURRENT_TIMESTAMP
       `;
+      // A user talking to the bot again (e.g. /start after unblocking) is reachable again
       this.db.run(query, [telegramUserId, displayName], function(err) {
         if (err) {
           console.error('❌ Database createUser error:', err.message);
@@ -119,6 +150,18 @@ class Database {
     });
   }
 
+  // Mark a user unreachable (blocked the bot, chat deleted) so nothing more is sent to them
+  async deactivateUser(telegramUserId, reason) {
+    const result = await this.run(`
+      UPDATE users SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE telegram_user_id = ? AND is_active = 1
+    `, [telegramUserId]);
+    if (result.changes > 0) {
+      console.log(`🚫 User ${telegramUserId} marked inactive: ${reason}`);
+    }
+    return result.changes;
+  }
+
   // CRITICAL FIX: Update user level and ensure it persists
   async updateUserLevel(telegramUserId, level) {
     return new Promise((resolve, reject) => {
@@ -139,14 +182,44 @@ class Database {
     });
   }
 
+  // Adaptive difficulty mode: off, suggest or auto
+  async updateUserAutoLevel(telegramUserId, mode) {
+    const result = await this.run(`
+      UPDATE users SET auto_level = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE telegram_user_id = ?
+    `, [mode, telegramUserId]);
+    return result.changes;
+  }
+
+  // Set the local time (HH:MM) and timezone of the daily lesson
+  async updateUserDelivery(telegramUserId, { deliveryTime, timezone }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET delivery_time = COALESCE(?, delivery_time), timezone = COALESCE(?, timezone), updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      this.db.run(query, [deliveryTime || null, timezone || null, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database updateUserDelivery error:', err.message);
+          reject(err);
+        } else {
+          console.log(`📝 Database: Updated delivery settings for user ${telegramUserId} (${deliveryTime || '-'} ${timezone || '-'})`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
   async getActiveSubscription(telegramUserId) {
     return new Promise((resolve, reject) => {
       const query = `
         SELECT * FROM subscriptions 
-        WHERE telegram_user_id = ? AND status = 'active' AND expires_at > datetime('now')
-        ORDER BY created_at DESC LIMIT 1
+        WHERE telegram_user_id = ? AND status = 'active' AND expires_at > ?
+        ORDER BY expires_at DESC LIMIT 1
       `;
-      this.db.get(query, [telegramUserId], (err, row) => {
+      // The latest expiry is the paid-through date when renewals are stacked
+      this.db.get(query, [telegramUserId, new Date().toISOString()], (err, row) => {
         if (err) {
           console.error('❌ Database getActiveSubscription error:', err.message);
           reject(err);
@@ -157,27 +230,94 @@ class Database {
     });
   }
 
-  async createSubscription(telegramUserId, paymentReference, days = 30) {
+  async getSubscriptionByPayment(paymentReference, txHash) {
     return new Promise((resolve, reject) => {
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + days);
-      
       const query = `
-        INSERT INTO subscriptions (telegram_user_id, status, expires_at, payment_reference)
-        VALUES (?, 'active', ?, ?)
+        SELECT * FROM subscriptions
+        WHERE payment_reference = ? OR (? IS NOT NULL AND tx_hash = ?)
+        ORDER BY id ASC LIMIT 1
       `;
-      this.db.run(query, [telegramUserId, expiresAt.toISOString(), paymentReference], function(err) {
+      this.db.get(query, [paymentReference, txHash, txHash], (err, row) => {
         if (err) {
-          console.error('❌ Database createSubscription error:', err.message);
+          console.error('❌ Database getSubscriptionByPayment error:', err.message);
           reject(err);
         } else {
-          console.log('✅ Subscription created:', telegramUserId);
-          resolve(this.lastID);
+          resolve(row);
         }
       });
     });
   }
 
+  // Credit a confirmed payment exactly once. Replays (same reference or tx hash)
+  // return the existing subscription instead of stacking a new row.
+  // Resolves with { subscription, created }
+  async activateSubscription({ telegramUserId, paymentReference, txHash = null, planId = null, days = 30 }) {
+    const existing = await this.getSubscriptionByPayment(paymentReference, txHash);
+    if (existing) {
+      console.log(`ℹ️ Payment ${paymentReference} already credited (subscription ${existing.id})`);
+      return { subscription: existing, created: false };
+    }
+
+    // Renewals stack onto the current paid-through date instead of starting from now
+    const current = await this.getActiveSubscription(telegramUserId);
+    const expiresAt = current ? new Date(current.expires_at) : new Date();
+    expiresAt.setDate(expiresAt.getDate() + days);
+
+    try {
+      const result = await this.run(`
+        INSERT INTO subscriptions (telegram_user_id, status, expires_at, payment_reference, tx_hash, plan_id)
+        VALUES (?, 'active', ?, ?, ?, ?)
+      `, [telegramUserId, expiresAt.toISOString(), paymentReference, txHash, planId]);
+
+      await this.markPaymentIntentPaid(paymentReference);
+      console.log('✅ Subscription activated:', telegramUserId, paymentReference);
+
+      const subscription = await this.getSubscriptionByPayment(paymentReference, txHash);
+      return { subscription: subscription || { id: result.lastID }, created: true };
+    } catch (err) {
+      // A concurrent activation won the race - the unique indexes kept it to one row
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        const subscription = await this.getSubscriptionByPayment(paymentReference, txHash);
+        return { subscription, created: false };
+      }
+      console.error('❌ Database activateSubscription error:', err.message);
+      throw err;
+    }
+  }
+
+  // Users whose paid-through date falls within the next `days` days
+  async getExpiringSubscriptions(days) {
+    return new Promise((resolve, reject) => {
+      const now = new Date();
+      const limit = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+      const query = `
+        SELECT telegram_user_id, MAX(expires_at) AS expires_at
+        FROM subscriptions
+        WHERE status = 'active'
+        AND telegram_user_id NOT IN (SELECT telegram_user_id FROM users WHERE is_active = 0)
+        GROUP BY telegram_user_id
+        HAVING MAX(expires_at) > ? AND MAX(expires_at) <= ?
+      `;
+      this.db.all(query, [now.toISOString(), limit.toISOString()], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getExpiringSubscriptions error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Record an expiry reminder; resolves false if it was already sent for this paid-through date
+  async recordExpiryReminder(telegramUserId, expiresAt, daysBefore) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO subscription_reminders (telegram_user_id, expires_at, days_before)
+      VALUES (?, ?, ?)
+    `, [telegramUserId, expiresAt, daysBefore]);
+    return result.changes > 0;
+  }
+
   async getRandomSentence(difficultyLevel) {
     return new Promise((resolve, reject) => {
       const query = `
@@ -197,6 +337,54 @@ class Database {
     });
   }
 
+  // Save a generated sentence once; generating the same text again returns the existing row id
+  async saveSentence(sentenceData, difficultyLevel) {
+    const normalizedText = this.normalizeSentenceText(sentenceData.english_text);
+    try {
+      await this.run(`
+        INSERT INTO sentences (english_text, japanese_translation, difficulty_level, word_breakdown, normalized_text)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(difficulty_level, normalized_text) DO NOTHING
+      `, [
+        sentenceData.english_text,
+        sentenceData.japanese_translation,
+        difficultyLevel,
+        JSON.stringify(sentenceData.word_breakdown || []),
+        normalizedText
+      ]);
+
+      const rows = await this.all(
+        'SELECT id FROM sentences WHERE difficulty_level = ? AND normalized_text = ?',
+        [difficultyLevel, normalizedText]
+      );
+      return rows[0].id;
+    } catch (err) {
+      console.error('❌ Database saveSentence error:', err.message);
+      throw err;
+    }
+  }
+
+  // Sentence chosen for a difficulty level on a local date, or undefined
+  async getDailySentence(difficultyLevel, localDate) {
+    const rows = await this.all(`
+      SELECT s.*
+      FROM daily_sentences ds
+      JOIN sentences s ON s.id = ds.sentence_id
+      WHERE ds.difficulty_level = ? AND ds.local_date = ?
+    `, [difficultyLevel, localDate]);
+    return rows[0];
+  }
+
+  // Choose the sentence of a level and local date; the first choice wins, so resolves with the sentence in use
+  async setDailySentence(difficultyLevel, localDate, sentenceId) {
+    await this.run(`
+      INSERT INTO daily_sentences (difficulty_level, local_date, sentence_id, created_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(difficulty_level, local_date) DO NOTHING
+    `, [difficultyLevel, localDate, sentenceId, new Date().toISOString()]);
+    return this.getDailySentence(difficultyLevel, localDate);
+  }
+
   // Get recent sentences for a difficulty level to avoid duplicates
   async getRecentSentences(difficultyLevel, days = 30) {
     return new Promise((resolve, reject) => {
@@ -223,13 +411,34 @@ class Database {
     });
   }
 
-  async saveUserProgress(telegramUserId, sentenceId, userResponse, grade, isCorrect) {
+  // Get the most recently saved sentence for a difficulty level (the latest lesson sent at that level)
+  async getLatestSentence(difficultyLevel) {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO user_progress (telegram_user_id, sentence_id, user_response, grade, is_correct)
-        VALUES (?, ?, ?, ?, ?)
+        SELECT * FROM sentences
+        WHERE difficulty_level = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
       `;
-      this.db.run(query, [telegramUserId, sentenceId, userResponse, grade, isCorrect], function(err) {
+      this.db.get(query, [difficultyLevel], (err, row) => {
+        if (err) {
+          console.error('❌ Database getLatestSentence error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // activityType: 'practice' (typed sentence) or 'quiz' (multiple choice)
+  async saveUserProgress(telegramUserId, sentenceId, userResponse, grade, isCorrect, activityType = 'practice') {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO user_progress (telegram_user_id, sentence_id, user_response, grade, is_correct, activity_type)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      this.db.run(query, [telegramUserId, sentenceId, userResponse, grade, isCorrect, activityType], function(err) {
         if (err) {
           console.error('❌ Database saveUserProgress error:', err.message);
           reject(err);
@@ -241,6 +450,579 @@ class Database {
     });
   }
 
+  // Average grade and attempts per UTC day and activity type since a moment
+  async getPerformanceByDay(telegramUserId, since) {
+    // user_progress.created_at is CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC)
+    const sinceText = since.toISOString().replace('T', ' ').slice(0, 19);
+    return this.all(`
+      SELECT substr(created_at, 1, 10) AS day,
+        COALESCE(activity_type, 'practice') AS activity_type,
+        AVG(grade) AS average,
+        COUNT(*) AS attempts
+      FROM user_progress
+      WHERE telegram_user_id = ? AND created_at >= ? AND grade IS NOT NULL
+      GROUP BY day, COALESCE(activity_type, 'practice')
+    `, [telegramUserId, sinceText]);
+  }
+
+  async createLevelChange({ telegramUserId, fromLevel, toLevel, source, status, evaluation = {} }) {
+    const result = await this.run(`
+      INSERT INTO level_changes (telegram_user_id, from_level, to_level, source, status, score, practice_average, quiz_accuracy, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      telegramUserId, fromLevel, toLevel, source, status,
+      evaluation.score ?? null, evaluation.practiceAverage ?? null, evaluation.quizAccuracy ?? null,
+      new Date().toISOString()
+    ]);
+    return result.lastID;
+  }
+
+  async getLevelChange(changeId) {
+    const rows = await this.all('SELECT * FROM level_changes WHERE id = ?', [changeId]);
+    return rows[0];
+  }
+
+  // Most recent level change or suggestion of a user (declined suggestions included)
+  async getLatestLevelChange(telegramUserId) {
+    const rows = await this.all(`
+      SELECT * FROM level_changes
+      WHERE telegram_user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [telegramUserId]);
+    return rows[0];
+  }
+
+  // Move a level change from one status to another; false if it was not in fromStatus
+  async resolveLevelChange(changeId, fromStatus, toStatus) {
+    const result = await this.run(`
+      UPDATE level_changes SET status = ?, resolved_at = ?
+      WHERE id = ? AND status = ?
+    `, [toStatus, new Date().toISOString(), changeId, fromStatus]);
+    return result.changes > 0;
+  }
+
+  // Change a user's level and record the change together; resolves with the level_changes id
+  async applyLevelChange({ telegramUserId, fromLevel, toLevel, source, evaluation = {} }) {
+    return this.transaction(async () => {
+      await this.updateUserLevel(telegramUserId, toLevel);
+      return this.createLevelChange({ telegramUserId, fromLevel, toLevel, source, status: 'applied', evaluation });
+    });
+  }
+
+  /**
+   * Resolve a level change and set the user's level in one transaction
+   * Nothing changes when the level change is no longer in fromStatus
+   * @returns {Promise<boolean>} false if it was not in fromStatus
+   */
+  async resolveLevelChangeWithLevel(change, fromStatus, toStatus, level) {
+    return this.transaction(async () => {
+      if (!(await this.resolveLevelChange(change.id, fromStatus, toStatus))) return false;
+      await this.updateUserLevel(change.telegram_user_id, level);
+      return true;
+    });
+  }
+
+  // Random sentences other than the quiz sentence, same difficulty level first
+  async getQuizDistractorSentences(excludeSentenceId, difficultyLevel, limit = 20) {
+    return this.all(`
+      SELECT * FROM sentences
+      WHERE id != ?
+      ORDER BY (difficulty_level = ?) DESC, RANDOM()
+      LIMIT ?
+    `, [excludeSentenceId, difficultyLevel, limit]);
+  }
+
+  async createQuiz({ telegramUserId, sentenceId, type, prompt, options, answerIndex }) {
+    const result = await this.run(`
+      INSERT INTO quizzes (telegram_user_id, sentence_id, question_type, prompt, options, answer_index, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [telegramUserId, sentenceId, type, prompt, JSON.stringify(options), answerIndex, new Date().toISOString()]);
+    return result.lastID;
+  }
+
+  // Quiz with its options parsed and its sentence
+  async getQuiz(quizId) {
+    const rows = await this.all(`
+      SELECT q.*, s.english_text, s.japanese_translation
+      FROM quizzes q
+      JOIN sentences s ON s.id = q.sentence_id
+      WHERE q.id = ?
+    `, [quizId]);
+    const quiz = rows[0];
+    if (quiz) quiz.options = JSON.parse(quiz.options);
+    return quiz;
+  }
+
+  // Record the chosen option once; false if the quiz was already answered
+  async answerQuiz(quizId, chosenIndex) {
+    const result = await this.run(`
+      UPDATE quizzes SET status = 'answered', chosen_index = ?, answered_at = ?
+      WHERE id = ? AND status = 'open'
+    `, [chosenIndex, new Date().toISOString(), quizId]);
+    return result.changes > 0;
+  }
+
+  // Store a payment intent so it survives restarts between subscribe and payment check
+  async createPaymentIntent({ reference, telegramUserId, chatId, amountNano, currency = 'TON', planId = null, quote = {}, expiresAt }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO payment_intents (reference, telegram_user_id, chat_id, amount_nano, currency, plan_id,
+          price_currency, price_amount, usd_amount, ton_price, price_source, quote_expires_at, status, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+      `;
+      const params = [
+        reference,
+        telegramUserId,
+        chatId != null ? chatId.toString() : null,
+        amountNano,
+        currency,
+        planId,
+        quote.priceCurrency || null,
+        quote.priceAmount != null ? quote.priceAmount : null,
+        quote.usdAmount != null ? quote.usdAmount : null,
+        quote.tonPrice != null ? quote.tonPrice : null,
+        quote.priceSource || null,
+        quote.expiresAt ? quote.expiresAt.toISOString() : null,
+        new Date().toISOString(),
+        expiresAt.toISOString()
+      ];
+      this.db.run(query, params, function(err) {
+        if (err) {
+          console.error('❌ Database createPaymentIntent error:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Payment intent created:', reference);
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Get unexpired pending payment intents for a user (most recent first), up to limitPerCurrency per currency
+  // Every subscribe creates a TON and a USDT intent, so a shared limit would drop older TON ones
+  async getPendingPaymentIntents(telegramUserId, limitPerCurrency = 3) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM (
+          SELECT *, ROW_NUMBER() OVER (PARTITION BY currency ORDER BY created_at DESC, id DESC) AS currency_rank
+          FROM payment_intents
+          WHERE telegram_user_id = ? AND status = 'pending' AND expires_at > ?
+        )
+        WHERE currency_rank <= ?
+        ORDER BY created_at DESC, id DESC
+      `;
+      this.db.all(query, [telegramUserId, new Date().toISOString(), limitPerCurrency], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getPendingPaymentIntents error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async getPaymentIntent(reference) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM payment_intents WHERE reference = ?';
+      this.db.get(query, [reference], (err, row) => {
+        if (err) {
+          console.error('❌ Database getPaymentIntent error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Record a fresh quote for a pending intent whose quote expired (the original quote columns are kept)
+  async requotePaymentIntent(reference, { amountNano, tonPrice, priceSource, expiresAt }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payment_intents
+        SET requoted_amount_nano = ?, requoted_ton_price = ?, requoted_price_source = ?,
+          requoted_quote_expires_at = ?, requoted_at = ?
+        WHERE reference = ? AND status = 'pending'
+      `;
+      const params = [amountNano, tonPrice, priceSource, expiresAt.toISOString(), new Date().toISOString(), reference];
+      this.db.run(query, params, function(err) {
+        if (err) {
+          console.error('❌ Database requotePaymentIntent error:', err.message);
+          reject(err);
+        } else {
+          console.log(`🔄 Payment intent re-quoted: ${reference} (${amountNano}, ${priceSource})`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Mark a payment intent as paid once the payment is confirmed
+  async markPaymentIntentPaid(reference) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payment_intents
+        SET status = 'paid', paid_at = ?
+        WHERE reference = ? AND status = 'pending'
+      `;
+      this.db.run(query, [new Date().toISOString(), reference], function(err) {
+        if (err) {
+          console.error('❌ Database markPaymentIntentPaid error:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Payment intent marked paid:', reference);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Record an inbound transfer seen by the payment watcher (ignored if already recorded)
+  async recordPaymentTransfer({ txHash, reference, currency, amount, lt, utime }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO payment_transfers (tx_hash, reference, currency, amount, lt, utime)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      this.db.run(query, [txHash, reference, currency, amount, lt != null ? lt.toString() : null, utime], function(err) {
+        if (err) {
+          console.error('❌ Database recordPaymentTransfer error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getPaymentTransfers(reference) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM payment_transfers WHERE reference = ? ORDER BY id ASC';
+      this.db.all(query, [reference], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getPaymentTransfers error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Pending intents that already received at least one recorded transfer
+  async getPendingIntentsWithTransfers() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payment_intents
+        WHERE status = 'pending'
+        AND reference IN (SELECT reference FROM payment_transfers)
+      `;
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getPendingIntentsWithTransfers error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Small key/value store for bot state such as payment watcher cursors
+  async getState(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT value FROM bot_state WHERE key = ?', [key], (err, row) => {
+        if (err) {
+          console.error('❌ Database getState error:', err.message);
+          reject(err);
+        } else {
+          resolve(row ? JSON.parse(row.value) : null);
+        }
+      });
+    });
+  }
+
+  async setState(key, value) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO bot_state (key, value, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = CURRENT_TIMESTAMP
+      `;
+      this.db.run(query, [key, JSON.stringify(value)], (err) => {
+        if (err) {
+          console.error('❌ Database setState error:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Outbound message queue - items survive restarts until they are sent or dead-lettered
+  async enqueueMessage({ chatId, message, options = {} }) {
+    const now = new Date().toISOString();
+    const result = await this.run(`
+      INSERT INTO message_queue (chat_id, message, options, status, attempts, next_attempt_at, created_at)
+      VALUES (?, ?, ?, 'pending', 0, ?, ?)
+    `, [chatId.toString(), message, JSON.stringify(options || {}), now, now]);
+    return result.lastID;
+  }
+
+  // Claim due pending items for sending (marks them 'sending' and returns them, oldest first)
+  async claimDueMessages(limit) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE message_queue SET status = 'sending'
+        WHERE id IN (
+          SELECT id FROM message_queue
+          WHERE status = 'pending' AND next_attempt_at <= ?
+          ORDER BY next_attempt_at, id
+          LIMIT ?
+        )
+        RETURNING *
+      `;
+      this.db.all(query, [new Date().toISOString(), limit], (err, rows) => {
+        if (err) {
+          console.error('❌ Database claimDueMessages error:', err.message);
+          reject(err);
+        } else {
+          const items = (rows || [])
+            .sort((a, b) => a.id - b.id)
+            .map(row => ({ ...row, options: row.options ? JSON.parse(row.options) : {} }));
+          resolve(items);
+        }
+      });
+    });
+  }
+
+  // Mark an item sent; a lesson delivery carried by it is marked sent too
+  async markMessageSent(id, telegramMessageId = null) {
+    const now = new Date().toISOString();
+    await this.run(`
+      UPDATE message_queue SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL
+      WHERE id = ?
+    `, [now, id]);
+    await this.run(`
+      UPDATE deliveries SET status = 'sent', telegram_message_id = ?, sent_at = ?
+      WHERE queue_message_id = ?
+    `, [telegramMessageId, now, id]);
+  }
+
+  // Put a failed item back as pending until nextAttemptAt
+  async scheduleMessageRetry(id, nextAttemptAt, error) {
+    await this.run(`
+      UPDATE message_queue SET status = 'pending', attempts = attempts + 1, next_attempt_at = ?, last_error = ?
+      WHERE id = ?
+    `, [nextAttemptAt.toISOString(), error, id]);
+  }
+
+  async markMessageDead(id, error) {
+    await this.run(`
+      UPDATE message_queue SET status = 'dead', attempts = attempts + 1, last_error = ?
+      WHERE id = ?
+    `, [error, id]);
+    await this.run(`UPDATE deliveries SET status = 'failed' WHERE queue_message_id = ?`, [id]);
+  }
+
+  // Move every pending item to the dead-letter state (emergency queue clear)
+  async deadLetterPendingMessages(reason) {
+    const result = await this.run(`
+      UPDATE message_queue SET status = 'dead', last_error = ?
+      WHERE status = 'pending'
+    `, [reason]);
+    return result.changes;
+  }
+
+  // Put an item back as pending without counting an attempt (rate limits, per-chat pacing)
+  async deferMessage(id, nextAttemptAt) {
+    await this.run(`
+      UPDATE message_queue SET status = 'pending', next_attempt_at = ?
+      WHERE id = ?
+    `, [nextAttemptAt.toISOString(), id]);
+  }
+
+  // Items left 'sending' by a crash are sent again (at-least-once delivery)
+  async resetSendingMessages() {
+    const result = await this.run(`UPDATE message_queue SET status = 'pending' WHERE status = 'sending'`);
+    return result.changes;
+  }
+
+  // Number of queue items per status, e.g. { pending: 3, sending: 0, sent: 120, dead: 1 }
+  async getMessageQueueCounts() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT status, COUNT(*) AS count FROM message_queue GROUP BY status', [], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getMessageQueueCounts error:', err.message);
+          reject(err);
+        } else {
+          const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+          (rows || []).forEach(row => { counts[row.status] = row.count; });
+          resolve(counts);
+        }
+      });
+    });
+  }
+
+  // Claim a user's lesson for a local date; resolves null if one was already delivered that day
+  async createDelivery({ telegramUserId, sentenceId, localDate, status = 'queued', telegramMessageId = null }) {
+    const now = new Date().toISOString();
+    const result = await this.run(`
+      INSERT OR IGNORE INTO deliveries (telegram_user_id, sentence_id, local_date, telegram_message_id, status, created_at, sent_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [telegramUserId, sentenceId, localDate, telegramMessageId, status, now, status === 'sent' ? now : null]);
+    return result.changes > 0 ? result.lastID : null;
+  }
+
+  // Link a delivery to the queue item that sends it
+  async setDeliveryQueueMessage(deliveryId, queueMessageId) {
+    await this.run('UPDATE deliveries SET queue_message_id = ? WHERE id = ?', [queueMessageId, deliveryId]);
+  }
+
+  // Record a lesson sent again on request (/today)
+  async markDeliveryResent(deliveryId, telegramMessageId) {
+    await this.run(`
+      UPDATE deliveries SET status = 'sent', telegram_message_id = ?, sent_at = ?
+      WHERE id = ?
+    `, [telegramMessageId, new Date().toISOString(), deliveryId]);
+  }
+
+  // Delivery of a user's lesson on a local date, with the sentence
+  async getDelivery(telegramUserId, localDate) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT d.*, s.english_text, s.japanese_translation, s.word_breakdown, s.difficulty_level
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.telegram_user_id = ? AND d.local_date = ?
+      `;
+      this.db.get(query, [telegramUserId, localDate], (err, row) => {
+        if (err) {
+          console.error('❌ Database getDelivery error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Lessons delivered to a user (failed sends excluded), oldest first
+  async getDeliveryHistory(telegramUserId) {
+    return this.all(`
+      SELECT local_date, sentence_id, status
+      FROM deliveries
+      WHERE telegram_user_id = ? AND status != 'failed'
+      ORDER BY local_date ASC
+    `, [telegramUserId]);
+  }
+
+  // All practice and quiz results of a user with the sentence level, oldest first
+  async getProgressHistory(telegramUserId) {
+    return this.all(`
+      SELECT p.sentence_id, p.grade, p.is_correct, p.created_at,
+        COALESCE(p.activity_type, 'practice') AS activity_type,
+        s.difficulty_level
+      FROM user_progress p
+      LEFT JOIN sentences s ON s.id = p.sentence_id
+      WHERE p.telegram_user_id = ?
+      ORDER BY p.created_at ASC, p.id ASC
+    `, [telegramUserId]);
+  }
+
+  // Most recent lesson delivered to a user, with the sentence
+  async getLatestDelivery(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT d.*, s.english_text, s.japanese_translation, s.word_breakdown, s.difficulty_level
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.telegram_user_id = ? AND d.status != 'failed'
+        ORDER BY d.local_date DESC, d.id DESC
+        LIMIT 1
+      `;
+      this.db.get(query, [telegramUserId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getLatestDelivery error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Add lesson words to a user's review deck; words already in the deck keep their schedule
+  async addVocabCards(telegramUserId, sentenceId, entries, dueAt) {
+    const now = new Date().toISOString();
+    let added = 0;
+    for (const entry of entries) {
+      const result = await this.run(`
+        INSERT OR IGNORE INTO vocab_cards (telegram_user_id, word, word_key, meaning, pronunciation, sentence_id, due_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [telegramUserId, entry.word, entry.wordKey, entry.meaning, entry.pronunciation, sentenceId, dueAt.toISOString(), now]);
+      added += result.changes;
+    }
+    return added;
+  }
+
+  // Cards due for review, most overdue first
+  async getDueVocabCards(telegramUserId, now = new Date(), limit = 1) {
+    return this.all(`
+      SELECT * FROM vocab_cards
+      WHERE telegram_user_id = ? AND due_at <= ?
+      ORDER BY due_at ASC, id ASC
+      LIMIT ?
+    `, [telegramUserId, now.toISOString(), limit]);
+  }
+
+  // Deck size, cards due now, cards remembered at their last review and when the next card becomes due
+  async getVocabDeckSummary(telegramUserId, now = new Date()) {
+    const rows = await this.all(`
+      SELECT COUNT(*) AS total,
+        SUM(CASE WHEN due_at <= ? THEN 1 ELSE 0 END) AS due,
+        SUM(CASE WHEN repetitions > 0 THEN 1 ELSE 0 END) AS learned,
+        MIN(CASE WHEN due_at > ? THEN due_at END) AS next_due_at
+      FROM vocab_cards
+      WHERE telegram_user_id = ?
+    `, [now.toISOString(), now.toISOString(), telegramUserId]);
+    return {
+      total: rows[0].total,
+      due: rows[0].due || 0,
+      learned: rows[0].learned || 0,
+      nextDueAt: rows[0].next_due_at
+    };
+  }
+
+  // Cards added to a user's deck since a moment
+  async countVocabCardsSince(telegramUserId, since) {
+    const rows = await this.all(
+      'SELECT COUNT(*) AS count FROM vocab_cards WHERE telegram_user_id = ? AND created_at >= ?',
+      [telegramUserId, since.toISOString()]
+    );
+    return rows[0].count;
+  }
+
+  async getVocabCard(cardId) {
+    const rows = await this.all('SELECT * FROM vocab_cards WHERE id = ?', [cardId]);
+    return rows[0];
+  }
+
+  // Store a review result; false if the card was not due (answered twice)
+  async updateVocabCardReview(cardId, { easeFactor, intervalDays, repetitions, dueAt }, reviewedAt = new Date()) {
+    const result = await this.run(`
+      UPDATE vocab_cards
+      SET ease_factor = ?, interval_days = ?, repetitions = ?, due_at = ?, last_reviewed_at = ?
+      WHERE id = ? AND due_at <= ?
+    `, [easeFactor, intervalDays, repetitions, dueAt.toISOString(), reviewedAt.toISOString(), cardId, reviewedAt.toISOString()]);
+    return result.changes > 0;
+  }
+
   // Cancel user subscription
   cancelSubscription(telegramUserId) {
     return new Promise((resolve, reject) => {
@@ -262,15 +1044,21 @@ class Database {
   }
 
   close() {
-    if (this.db) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
       this.db.close((err) => {
         if (err) {
           console.error('❌ Database close error:', err.message);
+          reject(err);
         } else {
           console.log('✅ Database connection closed');
+          resolve();
         }
       });
-    }
+    });
   }
 }
 
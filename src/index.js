@@ -4,6 +4,9 @@ const fs = require('fs');
 const TelegramBotHandler = require('./telegramBot');
 const Scheduler = require('./scheduler');
 const messageQueue = require('./messageQueue');
+const database = require('./database');
+const paymentVerifier = require('./services/paymentVerifier');
+const webAppAuth = require('./services/webAppAuth');
 const config = require('./config');
 
 class EnglishLearningBot {
@@ -18,6 +21,28 @@ class EnglishLearningBot {
     this.setupExpress();
   }
 
+  // Start polling, cron jobs and the HTTP server once the database is ready,
+  // so no update or job can reach a table before its migration has run
+  async start() {
+    await database.ready();
+
+    // Send whatever was still queued when the previous process stopped
+    try {
+      await messageQueue.resume();
+    } catch (error) {
+      console.error('❌ Error resuming message queue:', error.message);
+    }
+
+    await this.telegramBot.start();
+    this.scheduler.start();
+
+    this.server = this.app.listen(config.PORT, () => {
+      console.log(`🚀 Server running on port ${config.PORT}`);
+      console.log(`🌍 Timezone: ${config.TIMEZONE}`);
+      console.log(`📅 Daily messages scheduled per user (default ${config.DELIVERY.DEFAULT_TIME} ${config.DELIVERY.DEFAULT_TIMEZONE})`);
+    });
+  }
+
   setupExpress() {
     // Parse JSON bodies and URL-encoded bodies
     this.app.use(express.json());
@@ -30,15 +55,20 @@ class EnglishLearningBot {
     this.app.use(express.static(path.join(__dirname, '..', 'public')));
     
     // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      const queueStatus = messageQueue.getStatus();
-      
-      res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        timezone: config.TIMEZONE,
-        messageQueue: queueStatus
-      });
+    this.app.get('/health', async (req, res) => {
+      try {
+        const queueStatus = await messageQueue.getStatus();
+        
+        res.json({ 
+          status: 'healthy', 
+          timestamp: new Date().toISOString(),
+          timezone: config.TIMEZONE,
+          messageQueue: queueStatus
+        });
+      } catch (error) {
+        console.error('❌ Health check error:', error.message);
+        res.status(503).json({ status: 'unhealthy', error: 'Database unavailable' });
+      }
     });
 
     // Root endpoint serves landing page
@@ -55,15 +85,81 @@ class EnglishLearningBot {
     this.app.post('/api/contact', (req, res) => {
       this.handleContactForm(req, res);
     });
+  }
 
+  /**
+   * Orderly shutdown on SIGINT/SIGTERM
+   * Stops taking work (polling, cron, HTTP), lets the work in flight finish,
+   * then closes the database. Steps still running at the deadline are logged
+   * and the process exits anyway; unsent queue items stay persisted for the next boot
+   * @param {string} signal - Signal that triggered the shutdown
+   * @returns {Promise<boolean>} true if every step finished before the deadline
+   */
+  async shutdown(signal) {
+    console.log(`\n🛑 ${signal} received, shutting down English Learning Bot...`);
 
+    const unfinished = new Set();
+    const failed = [];
+    const step = async (name, action) => {
+      unfinished.add(name);
+      try {
+        await action();
+        console.log(`✅ Shutdown: ${name} done`);
+      } catch (error) {
+        failed.push(name);
+        console.error(`❌ Shutdown: ${name} failed:`, error.message);
+      } finally {
+        unfinished.delete(name);
+      }
+    };
 
+    const steps = (async () => {
+      // Stop taking new work, letting the work in flight finish
+      await Promise.all([
+        step('Telegram updates', () => this.telegramBot.stop()),
+        step('cron jobs', () => this.scheduler.stop()),
+        step('HTTP server', () => this.closeServer())
+      ]);
+      await step('message queue', async () => {
+        await messageQueue.drain();
+        const counts = await database.getMessageQueueCounts();
+        if (counts.pending > 0) {
+          console.log(`📬 ${counts.pending} queued messages kept for the next start`);
+        }
+      });
+      await step('database', () => database.close());
+    })();
 
-    // Start server
-    this.app.listen(config.PORT, () => {
-      console.log(`🚀 Server running on port ${config.PORT}`);
-      console.log(`🌍 Timezone: ${config.TIMEZONE}`);
-      console.log(`📅 Daily messages scheduled for 9:00 AM JST`);
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(resolve, config.SHUTDOWN.TIMEOUT_MS);
+    });
+    await Promise.race([steps.catch(error => {
+      console.error('❌ Shutdown error:', error.message);
+    }), deadline]);
+    clearTimeout(timer);
+
+    if (unfinished.size > 0) {
+      console.warn(`⚠️ Shutdown deadline (${config.SHUTDOWN.TIMEOUT_MS}ms) reached, unfinished: ${[...unfinished].join(', ')}`);
+    }
+    if (failed.length > 0) {
+      console.warn(`⚠️ Shutdown steps failed: ${failed.join(', ')}`);
+    }
+    const clean = unfinished.size === 0 && failed.length === 0;
+    console.log(clean ? '👋 English Learning Bot stopped' : '👋 English Learning Bot stopped with unfinished work');
+    return clean;
+  }
+
+  // Stop accepting connections and wait for open requests to finish
+  closeServer() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(err => (err ? reject(err) : resolve()));
+      // Idle keep-alive connections would otherwise hold close() open
+      this.server.closeIdleConnections();
     });
   }
 
@@ -72,23 +168,70 @@ class EnglishLearningBot {
     console.log('🚀 Background services started');
   }
 
-  // Handle payment webhook
+  // Handle payment webhook (called by pay.html after TON Connect sends the transaction)
+  // The caller is authenticated with Telegram WebApp initData and the payment is
+  // confirmed on-chain before any subscription is granted
   async handlePaymentWebhook(req, res) {
     try {
-      console.log('💰 Payment webhook received:', req.body);
+      const { initData, paymentReference } = req.body;
+      console.log(`💰 Payment webhook received for reference: ${paymentReference}`);
       
-      const { userId, chatId, paymentReference, amount, transactionHash } = req.body;
-      
-      if (!userId || !chatId || !paymentReference) {
+      if (!initData || !paymentReference) {
         return res.status(400).json({ error: 'Missing required fields' });
       }
       
-      // Trigger payment success
-      await this.telegramBot.handlePaymentSuccess(chatId, userId, paymentReference);
+      // Verify the request really comes from our Mini App
+      const auth = webAppAuth.validateInitData(initData);
+      if (!auth) {
+        console.warn('⚠️ Payment webhook rejected: invalid initData');
+        return res.status(401).json({ error: 'Invalid Telegram WebApp data' });
+      }
+      
+      const userId = auth.user.id.toString();
+      const intent = await database.getPaymentIntent(paymentReference);
+      if (!intent) {
+        return res.status(404).json({ error: 'Unknown payment reference' });
+      }
+      
+      if (intent.telegram_user_id !== userId) {
+        console.warn(`⚠️ Payment webhook rejected: reference ${paymentReference} does not belong to user ${userId}`);
+        return res.status(403).json({ error: 'Payment reference does not belong to this user' });
+      }
+      
+      if (intent.status === 'paid') {
+        return res.json({ status: 'success', message: 'Payment already processed' });
+      }
+      
+      // Confirm on-chain with the same verifier as the "I paid" button
+      let search;
+      try {
+        search = await paymentVerifier.findPayment([intent]);
+      } catch (apiError) {
+        return res.status(503).json({ error: 'Payment verification temporarily unavailable' });
+      }
+      
+      if (search.underpayment) {
+        return res.status(402).json({
+          status: 'underpaid',
+          currency: search.underpayment.currency,
+          shortfall: search.underpayment.shortfallAmount
+        });
+      }
+      
+      if (!search.paid) {
+        // Not on-chain yet - the user can confirm later with the "I paid" button
+        return res.status(202).json({ status: 'pending', message: 'Payment not confirmed yet' });
+      }
+      
+      const chatId = intent.chat_id || userId;
+      const outcome = await this.telegramBot.handlePaymentSuccess(chatId, userId, paymentReference, search.paid.result.transaction.hash);
+      if (outcome === 'failed') {
+        return res.status(500).json({ error: 'Payment confirmed but the subscription could not be activated' });
+      }
       
       res.json({ 
         status: 'success', 
-        message: 'Payment processed successfully' 
+        message: outcome === 'already_processed' ? 'Payment already processed' : 'Payment processed successfully'
       });
       
     } catch (error) {
@@ -141,14 +284,22 @@ class EnglishLearningBot {
 
 // Start the bot
 const bot = new EnglishLearningBot();
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down English Learning Bot...');
-  process.exit(0);
+bot.start().catch(error => {
+  console.error('❌ Failed to start English Learning Bot:', error);
+  process.exit(1);
 });
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down English Learning Bot...');
-  process.exit(0);
-});
+// Graceful shutdown (a second signal exits immediately)
+let shuttingDown = false;
+const handleSignal = async (signal) => {
+  if (shuttingDown) {
+    console.warn(`⚠️ ${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  const clean = await bot.shutdown(signal);
+  process.exit(clean ? 0 : 1);
+};
+
+process.on('SIGINT', handleSignal);
+process.on('SIGTERM', handleSignal);
@@ -1,13 +1,27 @@
 const config = require('./config');
+const database = require('./database');
 
+/**
+ * Message Queue - Outbound Telegram messages, rate limited and persisted in SQLite
+ * Every item is stored in message_queue with its status, attempt count and
+ * next attempt time, so a restart in the middle of a daily blast resumes
+ * where it stopped instead of losing the unsent lessons
+ * Send errors are classified: a 429 pauses the whole queue for retry_after,
+ * a blocked bot or missing chat marks the user inactive, anything else is retried
+ */
 class MessageQueue {
   constructor() {
-    this.queue = [];
     this.isProcessing = false;
+    this.isSendingBatch = false;
+    this.isDraining = false; // Set on shutdown: items are still stored but no longer sent
     this.processingInterval = null;
-    this.rateLimit = 25; // Messages per second (under Telegram's 30/sec limit)
-    this.batchSize = 25; // Process 25 messages at a time
-    this.delayBetweenBatches = 1000; // 1 second delay between batches
+    this.rateLimit = config.MESSAGE_QUEUE.BATCH_SIZE; // Messages per second (under Telegram's 30/sec limit)
+    this.batchSize = config.MESSAGE_QUEUE.BATCH_SIZE; // Process 25 messages at a time
+    this.delayBetweenBatches = config.MESSAGE_QUEUE.INTERVAL_MS; // 1 second delay between batches
+    this.maxAttempts = config.MESSAGE_QUEUE.MAX_ATTEMPTS;
+    this.perChatInterval = config.MESSAGE_QUEUE.PER_CHAT_INTERVAL_MS;
+    this.pausedUntil = 0; // Set from Telegram's retry_after on 429
+    this.lastSentByChat = new Map(); // chat_id -> time of the last send
   }
 
   // Store bot instance for sending messages
@@ -16,22 +30,32 @@ class MessageQueue {
   }
 
   // Add message to queue
-  addMessage(chatId, message, options = {}) {
-    const queueItem = {
-      id: Date.now() + Math.random(), // Unique ID
-      chatId,
-      message,
-      options,
-      timestamp: new Date(),
-      retries: 0,
-      maxRetries: 3
-    };
-    
-    this.queue.push(queueItem);
-    console.log(`📝 Added message to queue. Queue size: ${this.queue.length}`);
-    
+  // Resolves with the queue item id
+  async addMessage(chatId, message, options = {}) {
+    let id;
+    try {
+      id = await database.enqueueMessage({ chatId, message, options });
+      console.log(`📝 Added message ${id} to queue for ${chatId}`);
+    } catch (error) {
+      console.error(`❌ Failed to queue message for ${chatId}:`, error.message);
+      throw error;
+    }
+
     // Start processing if not already running
-    if (!this.isProcessing) {
+    if (!this.isProcessing && !this.isDraining) {
+      this.startProcessing();
+    }
+
+    return id;
+  }
+
+  // Resume items left over from a previous run (called once on boot)
+  async resume() {
+    const reset = await database.resetSendingMessages();
+    const counts = await database.getMessageQueueCounts();
+    console.log(`📬 Message queue resumed: ${counts.pending} pending (${reset} interrupted while sending)`);
+
+    if (counts.pending > 0) {
       this.startProcessing();
     }
   }
@@ -39,10 +63,10 @@ class MessageQueue {
   // Start processing the queue
   startProcessing() {
     if (this.isProcessing) return;
-    
+
     this.isProcessing = true;
     console.log('🚀 Starting message queue processing');
-    
+
     this.processingInterval = setInterval(() => {
       this.processBatch();
     }, this.delayBetweenBatches);
@@ -58,20 +82,59 @@ class MessageQueue {
     console.log('⏹️ Stopped message queue processing');
   }
 
+  // Stop sending and wait for the batch in flight (shutdown)
+  // Unsent items stay pending in SQLite and are resumed on the next boot
+  async drain() {
+    this.isDraining = true;
+    this.stopProcessing();
+    while (this.isSendingBatch) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
   // Process a batch of messages
   async processBatch() {
-    if (this.queue.length === 0) {
-      console.log('✅ Queue empty, stopping processing');
-      this.stopProcessing();
-      return;
-    }
+    // A slow batch must not overlap the next tick, and a 429 pauses everything
+    if (this.isSendingBatch || Date.now() < this.pausedUntil) return;
+    this.isSendingBatch = true;
+
+    try {
+      const batch = await database.claimDueMessages(this.batchSize);
 
-    const batch = this.queue.splice(0, this.batchSize);
-    console.log(`📤 Processing batch of ${batch.length} messages`);
+      if (batch.length === 0) {
+        // Retries scheduled for later keep the processor running
+        const counts = await database.getMessageQueueCounts();
+        if (counts.pending === 0) {
+          console.log('✅ Queue empty, stopping processing');
+          this.stopProcessing();
+        }
+        return;
+      }
+
+      // One message per chat per interval: later items for the same chat wait
+      const now = Date.now();
+      this.pruneChatTimes(now);
+      const toSend = [];
+      for (const item of batch) {
+        const lastSent = this.lastSentByChat.get(item.chat_id);
+        if (lastSent !== undefined && now - lastSent < this.perChatInterval) {
+          await database.deferMessage(item.id, new Date(lastSent + this.perChatInterval));
+        } else {
+          this.lastSentByChat.set(item.chat_id, now);
+          toSend.push(item);
+        }
+      }
 
-    // Process messages in parallel with rate limiting
-    const promises = batch.map(item => this.sendMessageWithRetry(item));
-    await Promise.allSettled(promises);
+      console.log(`📤 Processing batch of ${toSend.length} messages (${batch.length - toSend.length} deferred for per-chat limit)`);
+
+      // Process messages in parallel with rate limiting
+      const promises = toSend.map(item => this.sendMessageWithRetry(item));
+      await Promise.allSettled(promises);
+    } catch (error) {
+      console.error('❌ Error processing message queue batch:', error.message);
+    } finally {
+      this.isSendingBatch = false;
+    }
   }
 
   // Send message with retry logic
@@ -80,53 +143,114 @@ class MessageQueue {
       if (!this.botInstance) {
         throw new Error('Bot instance not set. Call messageQueue.setBot() first.');
       }
-      
-      await this.botInstance.sendMessage(queueItem.chatId, queueItem.message, queueItem.options);
-      
-      console.log(`✅ Message sent to ${queueItem.chatId}`);
+
+      const sent = await this.botInstance.sendMessage(queueItem.chat_id, queueItem.message, queueItem.options);
+      await database.markMessageSent(queueItem.id, sent && sent.message_id);
+
+      console.log(`✅ Message sent to ${queueItem.chat_id}`);
     } catch (error) {
-      console.error(`❌ Failed to send message to ${queueItem.chatId}:`, error.message);
-      
-      // Retry logic
-      if (queueItem.retries < queueItem.maxRetries) {
-        queueItem.retries++;
-        console.log(`🔄 Retrying message ${queueItem.id} (attempt ${queueItem.retries})`);
-        
-        // Add back to queue with delay
-        setTimeout(() => {
-          this.queue.unshift(queueItem);
-        }, 5000 * queueItem.retries); // Exponential backoff
+      console.error(`❌ Failed to send message to ${queueItem.chat_id}:`, error.message);
+      const failure = this.classifyError(error);
+
+      if (failure.type === 'rate_limit') {
+        // Telegram asks everyone to wait - pause the queue and retry this item without counting an attempt
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + failure.retryAfterMs);
+        console.warn(`⏸️ Rate limited by Telegram, pausing queue for ${failure.retryAfterMs}ms`);
+        await database.deferMessage(queueItem.id, new Date(this.pausedUntil));
+        return;
+      }
+
+      if (failure.type === 'unreachable') {
+        // Retrying cannot help; stop targeting the user until they talk to the bot again
+        await database.markMessageDead(queueItem.id, error.message);
+        await database.deactivateUser(queueItem.chat_id, failure.reason);
+        return;
+      }
+
+      if (failure.type === 'invalid') {
+        console.error(`💀 Message ${queueItem.id} rejected by Telegram, not retrying`);
+        await database.markMessageDead(queueItem.id, error.message);
+        return;
+      }
+
+      // Retry logic (attempts counts this failed try)
+      const attempts = queueItem.attempts + 1;
+      if (attempts < this.maxAttempts) {
+        const nextAttemptAt = new Date(Date.now() + config.MESSAGE_QUEUE.RETRY_DELAY_MS * attempts); // Increasing backoff
+        console.log(`🔄 Retrying message ${queueItem.id} at ${nextAttemptAt.toISOString()} (attempt ${attempts + 1})`);
+        await database.scheduleMessageRetry(queueItem.id, nextAttemptAt, error.message);
       } else {
-        console.error(`💀 Message ${queueItem.id} failed after ${queueItem.maxRetries} retries`);
+        console.error(`💀 Message ${queueItem.id} failed after ${attempts} attempts`);
+        await database.markMessageDead(queueItem.id, error.message);
+      }
+    }
+  }
+
+  /**
+   * Classify a sendMessage error from node-telegram-bot-api
+   * @param {Error} error - Error thrown by sendMessage
+   * @returns {{type: string, retryAfterMs?: number, reason?: string}}
+   *   type is 'rate_limit' (429), 'unreachable' (blocked, deactivated or missing chat),
+   *   'invalid' (other 400 - the message itself is bad) or 'transient' (network, 5xx)
+   */
+  classifyError(error) {
+    const body = error.response && error.response.body;
+    const code = body && body.error_code;
+    const description = ((body && body.description) || error.message || '').toLowerCase();
+
+    if (code === 429) {
+      const retryAfter = (body.parameters && body.parameters.retry_after) || 1;
+      return { type: 'rate_limit', retryAfterMs: retryAfter * 1000 };
+    }
+
+    if (code === 403 || description.includes('chat not found') || description.includes('user is deactivated')) {
+      return { type: 'unreachable', reason: body ? body.description : error.message };
+    }
+
+    if (code === 400) {
+      return { type: 'invalid' };
+    }
+
+    return { type: 'transient' };
+  }
+
+  // Forget per-chat send times older than the per-chat interval
+  pruneChatTimes(now) {
+    for (const [chatId, sentAt] of this.lastSentByChat) {
+      if (now - sentAt >= this.perChatInterval) {
+        this.lastSentByChat.delete(chatId);
       }
     }
   }
 
-  // Get queue status
-  getStatus() {
+  // Get queue status (counts come from storage, so they include items from before a restart)
+  async getStatus() {
+    const counts = await database.getMessageQueueCounts();
     return {
-      queueLength: this.queue.length,
+      pending: counts.pending + counts.sending,
+      sent: counts.sent,
+      deadLetter: counts.dead,
       isProcessing: this.isProcessing,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
       rateLimit: this.rateLimit,
       batchSize: this.batchSize
     };
   }
 
-  // Clear the queue (emergency use)
-  clearQueue() {
-    const clearedCount = this.queue.length;
-    this.queue = [];
+  // Clear the queue (emergency use) - pending items are dead-lettered, not deleted
+  async clearQueue() {
+    const clearedCount = await database.deadLetterPendingMessages('cleared');
     console.log(`🧹 Cleared ${clearedCount} messages from queue`);
   }
 
   // Add multiple messages for daily blast
-  addDailyBlastMessages(userList, messageTemplate) {
+  async addDailyBlastMessages(userList, messageTemplate) {
     console.log(`📢 Adding ${userList.length} daily messages to queue`);
-    
-    userList.forEach(user => {
+
+    for (const user of userList) {
       const personalizedMessage = this.personalizeMessage(messageTemplate, user);
-      this.addMessage(user.chat_id, personalizedMessage);
-    });
+      await this.addMessage(user.chat_id, personalizedMessage);
+    }
   }
 
   // Personalize message for each user
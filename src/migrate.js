@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// Apply pending database migrations without starting the bot
+// Usage: node src/migrate.js [--dry-run]
+//   --dry-run  list pending migrations and exit without changing the database
+const sqlite3 = require('sqlite3');
+const config = require('./config');
+const migrator = require('./migrations');
+
+const dryRun = process.argv.includes('--dry-run');
+const db = new sqlite3.Database(config.DATABASE_PATH, async (err) => {
+  if (err) {
+    console.error('❌ Database connection error:', err.message);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    console.log(`🗄️ Database: ${config.DATABASE_PATH}`);
+    await migrator.migrate(db, { dryRun });
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    exitCode = 1;
+  }
+  db.close(() => process.exit(exitCode));
+});
@@ -0,0 +1,122 @@
+/**
+ * 001 - Tables of the bot when versioned migrations were introduced
+ * Databases created before then already have some or all of them, so every
+ * statement is CREATE TABLE IF NOT EXISTS; missing columns are added by 002
+ */
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_user_id TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    difficulty_level INTEGER DEFAULT 1,
+    delivery_time TEXT DEFAULT '09:00', -- local HH:MM of the daily lesson
+    timezone TEXT DEFAULT 'Asia/Tokyo', -- IANA timezone of delivery_time
+    is_active INTEGER DEFAULT 1, -- 0 once the user blocked the bot or the chat is gone
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_user_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    expires_at DATETIME,
+    payment_reference TEXT,
+    tx_hash TEXT,
+    plan_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS sentences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    english_text TEXT NOT NULL,
+    japanese_translation TEXT,
+    difficulty_level INTEGER,
+    word_breakdown TEXT,
+    normalized_text TEXT, -- english_text folded for duplicate detection (see normalizeSentenceText)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS user_progress (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_user_id TEXT NOT NULL,
+    sentence_id INTEGER,
+    user_response TEXT,
+    grade INTEGER,
+    is_correct BOOLEAN,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS payment_intents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reference TEXT UNIQUE NOT NULL,
+    telegram_user_id TEXT NOT NULL,
+    chat_id TEXT,
+    amount_nano INTEGER NOT NULL, -- smallest unit of the currency (nanoTON or microUSDT)
+    currency TEXT NOT NULL DEFAULT 'TON',
+    plan_id TEXT,
+    price_currency TEXT, -- currency the plan is priced in (JPY or USD)
+    price_amount REAL, -- plan price in price_currency
+    usd_amount REAL, -- USD equivalent of the plan price (the USDT amount)
+    ton_price REAL, -- TON rate in price_currency used for the quote (TON intents only)
+    ton_price_usd REAL, -- TON/USD rate, kept for intents quoted in USD before yen pricing
+    price_source TEXT, -- live, cached, stale or fixed (USDT)
+    quote_expires_at DATETIME, -- TON quote is only honoured for transfers made before this
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    paid_at DATETIME
+  )`,
+  `CREATE TABLE IF NOT EXISTS payment_transfers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tx_hash TEXT UNIQUE NOT NULL,
+    reference TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    lt TEXT,
+    utime INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS subscription_reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_user_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    days_before INTEGER NOT NULL,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(telegram_user_id, expires_at, days_before)
+  )`,
+  `CREATE TABLE IF NOT EXISTS bot_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS message_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    options TEXT, -- JSON sendMessage options (keyboards etc.)
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, sending, sent or dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_error TEXT,
+    created_at DATETIME NOT NULL,
+    sent_at DATETIME
+  )`,
+  `CREATE TABLE IF NOT EXISTS deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_user_id TEXT NOT NULL,
+    sentence_id INTEGER NOT NULL,
+    local_date TEXT NOT NULL, -- YYYY-MM-DD in the user's timezone
+    queue_message_id INTEGER, -- message_queue item carrying the lesson
+    telegram_message_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'queued', -- queued, sent or failed
+    created_at DATETIME NOT NULL,
+    sent_at DATETIME,
+    UNIQUE(telegram_user_id, local_date)
+  )`
+];
+
+module.exports = {
+  description: 'Create tables',
+  async up({ run }) {
+    for (const query of TABLES) {
+      await run(query);
+    }
+  }
+};
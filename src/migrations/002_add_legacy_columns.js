@@ -0,0 +1,29 @@
+/**
+ * 002 - Columns added to existing tables before versioned migrations
+ * Fresh databases already get them from 001; older ones are altered here
+ */
+const COLUMNS = [
+  ['subscriptions', 'tx_hash', 'TEXT'],
+  ['subscriptions', 'plan_id', 'TEXT'],
+  ['payment_intents', 'plan_id', 'TEXT'],
+  ['payment_intents', 'usd_amount', 'REAL'],
+  ['payment_intents', 'ton_price_usd', 'REAL'],
+  ['payment_intents', 'price_source', 'TEXT'],
+  ['payment_intents', 'quote_expires_at', 'DATETIME'],
+  ['payment_intents', 'price_currency', 'TEXT'],
+  ['payment_intents', 'price_amount', 'REAL'],
+  ['payment_intents', 'ton_price', 'REAL'],
+  ['users', 'delivery_time', "TEXT DEFAULT '09:00'"],
+  ['users', 'timezone', "TEXT DEFAULT 'Asia/Tokyo'"],
+  ['users', 'is_active', 'INTEGER DEFAULT 1'],
+  ['sentences', 'normalized_text', 'TEXT']
+];
+
+module.exports = {
+  description: 'Add columns missing from older databases',
+  async up({ ensureColumn }) {
+    for (const [table, column, definition] of COLUMNS) {
+      await ensureColumn(table, column, definition);
+    }
+  }
+};
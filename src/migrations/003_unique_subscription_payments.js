@@ -0,0 +1,22 @@
+/**
+ * 003 - A payment (reference or transaction) credits at most one subscription
+ * Subscriptions credited twice before the constraint existed are collapsed first
+ */
+module.exports = {
+  description: 'Unique subscription payment reference and transaction hash',
+  async up({ run }) {
+    await run(`
+      DELETE FROM subscriptions
+      WHERE payment_reference IS NOT NULL
+      AND id NOT IN (SELECT MIN(id) FROM subscriptions WHERE payment_reference IS NOT NULL GROUP BY payment_reference)
+    `);
+    await run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_payment_reference
+      ON subscriptions(payment_reference) WHERE payment_reference IS NOT NULL
+    `);
+    await run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_tx_hash
+      ON subscriptions(tx_hash) WHERE tx_hash IS NOT NULL
+    `);
+  }
+};
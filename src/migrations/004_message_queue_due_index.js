@@ -0,0 +1,12 @@
+/**
+ * 004 - Index for claiming due items from the persisted message queue
+ */
+module.exports = {
+  description: 'Index message_queue by status and next attempt',
+  async up({ run }) {
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_message_queue_due
+      ON message_queue(status, next_attempt_at)
+    `);
+  }
+};
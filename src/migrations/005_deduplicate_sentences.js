@@ -0,0 +1,53 @@
+/**
+ * 005 - One row per generated sentence
+ * The scheduler used to save the day's sentence once per subscriber. Backfill
+ * normalized_text, point progress and deliveries at the oldest copy, delete
+ * the rest and enforce uniqueness per difficulty level
+ */
+
+// Copy of Database.normalizeSentenceText at the time of this migration,
+// so later changes to the app code do not change what this migration does
+function normalizeSentenceText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,!?;:])/g, '$1')
+    .trim();
+}
+
+module.exports = {
+  description: 'Collapse duplicate sentences and index normalized text',
+  async up({ run, all }) {
+    const unnormalized = await all('SELECT id, english_text FROM sentences WHERE normalized_text IS NULL');
+    for (const row of unnormalized) {
+      await run('UPDATE sentences SET normalized_text = ? WHERE id = ?', [normalizeSentenceText(row.english_text), row.id]);
+    }
+
+    const duplicates = `
+      SELECT id FROM sentences
+      WHERE id NOT IN (SELECT MIN(id) FROM sentences GROUP BY difficulty_level, normalized_text)
+    `;
+    for (const table of ['user_progress', 'deliveries']) {
+      await run(`
+        UPDATE ${table} SET sentence_id = (
+          SELECT MIN(k.id) FROM sentences s
+          JOIN sentences k ON k.difficulty_level IS s.difficulty_level AND k.normalized_text = s.normalized_text
+          WHERE s.id = ${table}.sentence_id
+        )
+        WHERE sentence_id IN (${duplicates})
+      `);
+    }
+    const removed = await run(`DELETE FROM sentences WHERE id IN (${duplicates})`);
+    if (removed.changes > 0) {
+      console.log(`🧹 Removed ${removed.changes} duplicate sentences`);
+    }
+
+    await run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sentences_normalized
+      ON sentences(difficulty_level, normalized_text)
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * 006 - Per-user vocabulary deck for spaced-repetition review
+ * One card per word a user received in a lesson's word breakdown
+ */
+module.exports = {
+  description: 'Create vocab_cards',
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS vocab_cards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        word TEXT NOT NULL,
+        word_key TEXT NOT NULL, -- lowercase word, one card per user and word
+        meaning TEXT NOT NULL,
+        pronunciation TEXT, -- katakana from the word breakdown
+        sentence_id INTEGER, -- lesson the word first appeared in
+        ease_factor REAL NOT NULL DEFAULT 2.5,
+        interval_days INTEGER NOT NULL DEFAULT 0,
+        repetitions INTEGER NOT NULL DEFAULT 0, -- successful reviews in a row
+        due_at DATETIME NOT NULL,
+        last_reviewed_at DATETIME,
+        created_at DATETIME NOT NULL,
+        UNIQUE(telegram_user_id, word_key)
+      )
+    `);
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_vocab_cards_due
+      ON vocab_cards(telegram_user_id, due_at)
+    `);
+  }
+};
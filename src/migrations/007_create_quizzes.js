@@ -0,0 +1,26 @@
+/**
+ * 007 - Multiple-choice quizzes (/quiz)
+ * A quiz row keeps the options and answer between the question and the button press;
+ * user_progress.activity_type tells typed practice apart from quiz answers
+ */
+module.exports = {
+  description: 'Create quizzes and add user_progress.activity_type',
+  async up({ run, ensureColumn }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS quizzes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        sentence_id INTEGER NOT NULL,
+        question_type TEXT NOT NULL, -- translation, fill_blank or reorder
+        prompt TEXT NOT NULL,
+        options TEXT NOT NULL, -- JSON array of option texts
+        answer_index INTEGER NOT NULL,
+        chosen_index INTEGER,
+        status TEXT NOT NULL DEFAULT 'open', -- open or answered
+        created_at DATETIME NOT NULL,
+        answered_at DATETIME
+      )
+    `);
+    await ensureColumn('user_progress', 'activity_type', "TEXT DEFAULT 'practice'"); // practice or quiz
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * 008 - Adaptive difficulty
+ * users.auto_level is the per-user mode; level_changes records every level
+ * change (manual, suggested, automatic or undone) for cooldowns and undo
+ */
+module.exports = {
+  description: 'Add users.auto_level and create level_changes',
+  async up({ run, ensureColumn }) {
+    await ensureColumn('users', 'auto_level', "TEXT DEFAULT 'off'"); // off, suggest or auto
+    await run(`
+      CREATE TABLE IF NOT EXISTS level_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        from_level INTEGER NOT NULL,
+        to_level INTEGER NOT NULL,
+        source TEXT NOT NULL, -- manual, suggest or auto
+        status TEXT NOT NULL, -- applied, suggested, declined or undone
+        score REAL, -- combined performance score that triggered it
+        practice_average REAL,
+        quiz_accuracy REAL,
+        created_at DATETIME NOT NULL,
+        resolved_at DATETIME -- when a suggestion was answered or a change undone
+      )
+    `);
+    await run(`
+      CREATE INDEX IF NOT EXISTS idx_level_changes_user
+      ON level_changes(telegram_user_id, created_at)
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * 009 - The lesson sentence of each difficulty level for each local date
+ * Every user on a level gets the same sentence that day, even across restarts
+ * and catch-up runs. Backfilled from existing deliveries (earliest sentence wins)
+ */
+module.exports = {
+  description: 'Create daily_sentences',
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS daily_sentences (
+        difficulty_level INTEGER NOT NULL,
+        local_date TEXT NOT NULL, -- YYYY-MM-DD in the recipients' timezone
+        sentence_id INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        PRIMARY KEY (difficulty_level, local_date)
+      )
+    `);
+    await run(`
+      INSERT OR IGNORE INTO daily_sentences (difficulty_level, local_date, sentence_id, created_at)
+      SELECT s.difficulty_level, d.local_date, d.sentence_id, MIN(d.created_at)
+      FROM deliveries d
+      JOIN sentences s ON s.id = d.sentence_id
+      GROUP BY s.difficulty_level, d.local_date
+    `);
+  }
+};
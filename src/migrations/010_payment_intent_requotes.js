@@ -0,0 +1,14 @@
+/**
+ * 010 - Re-quotes of expired TON quotes are stored next to the original quote
+ * The original amount, rate, source and quote window stay untouched for auditing
+ */
+module.exports = {
+  description: 'Add requoted_* columns to payment_intents',
+  async up({ ensureColumn }) {
+    await ensureColumn('payment_intents', 'requoted_amount_nano', 'INTEGER');
+    await ensureColumn('payment_intents', 'requoted_ton_price', 'REAL');
+    await ensureColumn('payment_intents', 'requoted_price_source', 'TEXT');
+    await ensureColumn('payment_intents', 'requoted_quote_expires_at', 'DATETIME');
+    await ensureColumn('payment_intents', 'requoted_at', 'DATETIME');
+  }
+};
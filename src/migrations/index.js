@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Migrator - Versioned schema migrations for the SQLite database
+ * Each file in this directory named NNN_description.js exports
+ * { description, up(helpers) } and is applied once, in version order, inside
+ * its own transaction; applied versions are recorded in schema_migrations
+ * Migrations are never edited after release - add a new file instead
+ */
+class Migrator {
+  /**
+   * Load migration files sorted by version
+   * @returns {Array<{version: number, name: string, description: string, up: Function}>}
+   */
+  load() {
+    return fs.readdirSync(__dirname)
+      .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        version: parseInt(match[1], 10),
+        name: path.basename(file, '.js'),
+        ...require(path.join(__dirname, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Promise helpers over a sqlite3 connection, passed to each migration's up()
+   * @param {sqlite3.Database} db - Open connection
+   * @returns {{run: Function, all: Function, ensureColumn: Function}}
+   */
+  helpers(db) {
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+    const all = (query, params = []) => new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+    // CREATE TABLE IF NOT EXISTS never alters, so columns are added when missing
+    const ensureColumn = async (table, column, definition) => {
+      const columns = await all(`PRAGMA table_info(${table})`);
+      if (!columns.some(col => col.name === column)) {
+        await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ Added column ${table}.${column}`);
+      }
+    };
+    return { run, all, ensureColumn };
+  }
+
+  /**
+   * Migrations not yet recorded in schema_migrations (read-only, for dry runs too)
+   * @param {sqlite3.Database} db - Open connection
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPending(db) {
+    const { all } = this.helpers(db);
+    const tracked = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    const rows = tracked.length > 0 ? await all('SELECT version FROM schema_migrations') : [];
+    const applied = new Set(rows.map(row => row.version));
+    return this.load().filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Apply pending migrations in order, each in a transaction
+   * A failing migration is rolled back and stops the run
+   * @param {sqlite3.Database} db - Open connection
+   * @param {{dryRun?: boolean}} options - dryRun only lists what would be applied
+   * @returns {Promise<Array<string>>} Names of the applied (or, in dry-run, pending) migrations
+   */
+  async migrate(db, { dryRun = false } = {}) {
+    const pending = await this.getPending(db);
+    const helpers = this.helpers(db);
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema up to date');
+      return [];
+    }
+
+    if (dryRun) {
+      console.log(`📋 ${pending.length} pending migrations (dry run, nothing applied):`);
+      for (const migration of pending) {
+        console.log(`   ${migration.name} - ${migration.description}`);
+      }
+      return pending.map(migration => migration.name);
+    }
+
+    await helpers.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+
+    for (const migration of pending) {
+      console.log(`🗄️ Applying migration ${migration.name} - ${migration.description}`);
+      await helpers.run('BEGIN');
+      try {
+        await migration.up(helpers);
+        await helpers.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        await helpers.run('COMMIT');
+      } catch (error) {
+        await helpers.run('ROLLBACK');
+        console.error(`❌ Migration ${migration.name} failed, rolled back:`, error.message);
+        throw error;
+      }
+    }
+
+    console.log(`✅ Applied ${pending.length} migrations, database schema up to date`);
+    return pending.map(migration => migration.name);
+  }
+}
+
+module.exports = new Migrator();
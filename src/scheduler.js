@@ -2,84 +2,394 @@ const cron = require('node-cron');
 const database = require('./database');
 const deepseekService = require('./services/deepseek');
 const messageQueue = require('./messageQueue');
+const paymentWatcher = require('./services/paymentWatcher');
+const deliveryTime = require('./services/deliveryTime');
+const spacedRepetition = require('./services/spacedRepetition');
+const adaptiveLevel = require('./services/adaptiveLevel');
+const learningStats = require('./services/learningStats');
 const config = require('./config');
 
+const LAST_DELIVERY_RUN_KEY = 'daily_lessons_last_run';
+
 class Scheduler {
   constructor(telegramBot) {
     this.bot = telegramBot;
+    this.tasks = [];
+    this.runningJobs = new Set();
+  }
+
+  // Schedule the cron jobs (call after database.ready())
+  start() {
     this.setupDailyMessages();
+    this.setupPaymentWatcher();
+    this.setupRenewalReminders();
+    this.setupAdaptiveLevels();
+    this.setupWeeklySummary();
   }
 
-  setupDailyMessages() {
-    // Schedule daily messages at 9:00 AM JST
-    cron.schedule(config.DAILY_MESSAGE_CRON, async () => {
-      console.log('📅 Daily message scheduler triggered');
-      await this.sendDailyMessages();
-    }, {
+  // Schedule a job, tracking its runs so stop() can wait for them
+  schedule(expression, job) {
+    const task = cron.schedule(expression, () => this.runJob(job), {
       timezone: config.TIMEZONE
     });
+    this.tasks.push(task);
+  }
 
-    console.log('⏰ Daily message scheduler set for 9:00 AM JST');
+  runJob(job) {
+    const run = Promise.resolve().then(job).finally(() => this.runningJobs.delete(run));
+    this.runningJobs.add(run);
+    return run;
   }
 
-  async sendDailyMessages() {
+  // Stop all cron jobs and wait for the runs in progress (shutdown)
+  async stop() {
+    for (const task of this.tasks) {
+      task.stop();
+    }
+    this.tasks = [];
+    await Promise.allSettled([...this.runningJobs]);
+  }
+
+  setupDailyMessages() {
+    // Every slot, send the lesson to users whose local delivery time has come
+    this.schedule(config.DELIVERY.CRON, () => this.sendDailyMessages());
+
+    console.log(`⏰ Daily message scheduler set per user (checked ${config.DELIVERY.CRON})`);
+
+    // Deliver what was missed while the bot was down
+    this.runJob(() => this.catchUpMissedDeliveries());
+  }
+
+  setupPaymentWatcher() {
+    // Poll the wallet for payments so subscriptions activate without the "I paid" button
+    this.schedule(config.PAYMENT_WATCHER.CRON, () => this.checkPayments());
+
+    console.log(`⏰ Payment watcher scheduled (${config.PAYMENT_WATCHER.CRON})`);
+  }
+
+  async checkPayments() {
     try {
-      // Get all users with active subscriptions
-      const activeUsers = await this.getActiveUsers();
-      
-      console.log(`📤 Queuing daily messages for ${activeUsers.length} users`);
+      const { paid, underpaid } = await paymentWatcher.poll();
+
+      for (const { intent, result } of paid) {
+        try {
+          const chatId = intent.chat_id || intent.telegram_user_id;
+          console.log(`✅ Payment watcher activating subscription for ${intent.telegram_user_id} (${intent.reference})`);
+          const outcome = await this.bot.handlePaymentSuccess(chatId, intent.telegram_user_id, intent.reference, result.transaction.hash);
+          if (outcome === 'failed') {
+            console.error(`❌ Payment watcher could not activate ${intent.reference}, retrying on the next poll`);
+          }
+        } catch (error) {
+          console.error(`❌ Error activating payment ${intent.reference}:`, error);
+        }
+      }
 
-      // Generate one sentence per difficulty level (cached)
-      const difficultySentences = {};
-      for (let level = 1; level <= 5; level++) {
+      for (const { intent, result } of underpaid) {
         try {
-          difficultySentences[level] = await deepseekService.generateEnglishSentence(level);
-          console.log(`✅ Generated sentence for difficulty ${level}`);
+          const chatId = intent.chat_id || intent.telegram_user_id;
+          await this.bot.bot.sendMessage(chatId, this.bot.formatUnderpaymentMessage(result));
         } catch (error) {
-          console.error(`❌ Error generating sentence for difficulty ${level}:`, error);
+          console.error(`❌ Error notifying underpayment ${intent.reference}:`, error);
         }
       }
+    } catch (error) {
+      console.error('❌ Error in checkPayments:', error.message);
+    }
+  }
+
+  setupRenewalReminders() {
+    this.schedule(config.RENEWAL_REMINDER.CRON, () => this.sendRenewalReminders());
+
+    console.log(`⏰ Renewal reminders scheduled (${config.RENEWAL_REMINDER.CRON})`);
+  }
+
+  async sendRenewalReminders() {
+    try {
+      // Thresholds from the largest to the smallest, e.g. [3, 1]
+      const thresholds = [...config.RENEWAL_REMINDER.DAYS_BEFORE].sort((a, b) => b - a);
+      const expiring = await database.getExpiringSubscriptions(thresholds[0]);
+      const now = Date.now();
 
-      // Queue messages for all users
-      for (const user of activeUsers) {
+      for (const subscription of expiring) {
         try {
-          const sentenceData = difficultySentences[user.difficulty_level];
-          if (sentenceData) {
-            // Save sentence to database for tracking
-            await this.saveSentence(sentenceData, user.difficulty_level);
-            
-            const message = this.createDailyMessage(sentenceData);
-            // Convert telegram_user_id (string) to number for chatId (Telegram API requires number for private chats)
-            const chatId = parseInt(user.telegram_user_id, 10);
-            if (isNaN(chatId)) {
-              console.error(`❌ Invalid chatId for user ${user.telegram_user_id}`);
-              continue;
-            }
-            messageQueue.addMessage(chatId, message);
+          const daysLeft = (new Date(subscription.expires_at).getTime() - now) / (24 * 60 * 60 * 1000);
+          // Use the tightest threshold that applies, so a late subscriber only gets the 1-day reminder
+          const daysBefore = thresholds.filter(days => daysLeft <= days).pop();
+
+          const isNew = await database.recordExpiryReminder(subscription.telegram_user_id, subscription.expires_at, daysBefore);
+          if (!isNew) continue;
+
+          const chatId = parseInt(subscription.telegram_user_id, 10);
+          if (isNaN(chatId)) continue;
+
+          const message = `⏰ 購読の期限が近づいています
+
+📅 有効期限: ${this.bot.formatDate(subscription.expires_at)}まで（残り約${daysBefore}日）
+
+今すぐ更新すると、現在の期限に期間が追加されます。`;
+
+          await messageQueue.addMessage(chatId, message, this.bot.createKeyboard([
+            [{ text: '🔄 今すぐ更新', callback_data: 'subscribe' }]
+          ]));
+          console.log(`📨 Queued ${daysBefore}-day renewal reminder for ${subscription.telegram_user_id}`);
+        } catch (error) {
+          console.error(`❌ Error sending renewal reminder to ${subscription.telegram_user_id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in sendRenewalReminders:', error);
+    }
+  }
+
+  setupAdaptiveLevels() {
+    this.schedule(config.ADAPTIVE_LEVEL.CRON, () => this.checkAdaptiveLevels());
+
+    console.log(`⏰ Adaptive difficulty checks scheduled (${config.ADAPTIVE_LEVEL.CRON})`);
+  }
+
+  // Suggest or apply level changes for users who enabled adaptive difficulty
+  async checkAdaptiveLevels(now = new Date()) {
+    try {
+      const users = (await this.getActiveUsers()).filter(user => user.auto_level === 'suggest' || user.auto_level === 'auto');
+
+      for (const user of users) {
+        try {
+          const evaluation = await adaptiveLevel.evaluate(user, now);
+          if (!evaluation.toLevel) continue;
+
+          const chatId = parseInt(user.telegram_user_id, 10);
+          if (isNaN(chatId)) continue;
+
+          const fromLevel = user.difficulty_level;
+          const toLevel = evaluation.toLevel;
+          const direction = toLevel > fromLevel ? '📈 上げる' : '📉 下げる';
+          const toName = config.DIFFICULTY_LEVELS[toLevel].name;
+          const explanation = toLevel > fromLevel
+            ? '最近の練習とクイズの成績がとても良いので、もう少し難しい文章に挑戦しましょう！'
+            : '最近の練習とクイズが難しすぎるようなので、少しやさしい文章で練習しましょう。';
+
+          if (user.auto_level === 'auto') {
+            const changeId = await database.applyLevelChange({
+              telegramUserId: user.telegram_user_id, fromLevel, toLevel, source: 'auto', evaluation
+            });
+
+            await messageQueue.addMessage(chatId, `🎯 難易度をレベル ${fromLevel} → ${toLevel}（${toName}）に変更しました
+
+${explanation}
+
+${adaptiveLevel.formatEvaluation(evaluation)}
+
+元のレベルに戻したい場合は下のボタンを押してください。`, this.bot.createKeyboard([
+              [{ text: `↩️ レベル ${fromLevel} に戻す`, callback_data: `level_undo_${changeId}` }]
+            ]));
           } else {
-            console.error(`❌ No sentence data for difficulty level ${user.difficulty_level}`);
+            const changeId = await database.createLevelChange({
+              telegramUserId: user.telegram_user_id, fromLevel, toLevel, source: 'suggest', status: 'suggested', evaluation
+            });
+
+            await messageQueue.addMessage(chatId, `🎯 難易度の変更のご提案（${direction}）
+
+${explanation}
+
+${adaptiveLevel.formatEvaluation(evaluation)}
+
+レベル ${fromLevel} → ${toLevel}（${toName}）に変更しますか？`, this.bot.createKeyboard([
+              [{ text: `✅ レベル ${toLevel} にする`, callback_data: `level_accept_${changeId}` }],
+              [{ text: `今のまま（レベル ${fromLevel}）`, callback_data: `level_decline_${changeId}` }]
+            ]));
           }
+          console.log(`🎯 Adaptive level (${user.auto_level}) for ${user.telegram_user_id}: ${fromLevel} → ${toLevel}, score ${Math.round(evaluation.score)}`);
+        } catch (error) {
+          console.error(`❌ Error checking adaptive level for ${user.telegram_user_id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in checkAdaptiveLevels:', error);
+    }
+  }
+
+  setupWeeklySummary() {
+    this.schedule(config.WEEKLY_SUMMARY.CRON, () => this.sendWeeklySummaries());
+
+    console.log(`⏰ Weekly summaries scheduled (${config.WEEKLY_SUMMARY.CRON})`);
+  }
+
+  // Send each subscriber a summary of their last 7 days (skipped when nothing happened)
+  async sendWeeklySummaries(now = new Date()) {
+    try {
+      const users = await this.getActiveUsers();
+      let sent = 0;
+
+      for (const user of users) {
+        try {
+          const chatId = parseInt(user.telegram_user_id, 10);
+          if (isNaN(chatId)) continue;
+
+          const summary = await learningStats.getWeeklySummary(user, now);
+          if (summary.activeDays === 0 && summary.lessonsReceived === 0) continue;
+
+          await messageQueue.addMessage(chatId, learningStats.formatWeeklySummary(summary), this.bot.createKeyboard([
+            [{ text: '📊 ステータス', callback_data: 'status' }]
+          ]));
+          sent++;
         } catch (error) {
-          console.error(`❌ Error queuing message for user ${user.telegram_user_id}:`, error);
+          console.error(`❌ Error sending weekly summary to ${user.telegram_user_id}:`, error);
         }
       }
 
-      console.log(`📋 Queued ${activeUsers.length} daily messages`);
+      console.log(`🗓️ Queued ${sent} weekly summaries`);
+    } catch (error) {
+      console.error('❌ Error in sendWeeklySummaries:', error);
+    }
+  }
+
+  async sendDailyMessages(now = new Date()) {
+    try {
+      // Users with active subscriptions whose local delivery slot is now
+      const dueUsers = (await this.getActiveUsers()).filter(user => deliveryTime.isDeliveryDue(user, now));
+      await this.deliverDailyLessons(dueUsers.map(user => ({ user, slotAt: now })));
+      await database.setState(LAST_DELIVERY_RUN_KEY, now.toISOString());
     } catch (error) {
       console.error('❌ Error in sendDailyMessages:', error);
     }
   }
 
+  // After downtime, deliver the lessons of slots that passed since the last run
+  async catchUpMissedDeliveries(now = new Date()) {
+    try {
+      const lastRun = await database.getState(LAST_DELIVERY_RUN_KEY);
+      if (!lastRun) return;
+
+      const slotMs = config.DELIVERY.SLOT_MINUTES * 60 * 1000;
+      const windowStart = now.getTime() - config.DELIVERY.CATCH_UP_HOURS * 60 * 60 * 1000;
+      const from = Math.max(new Date(lastRun).getTime(), windowStart);
+
+      // Every slot start after the last run up to now (slots are aligned in every timezone)
+      const activeUsers = await this.getActiveUsers();
+      const missed = new Map();
+      for (let slotAt = Math.floor(from / slotMs) * slotMs + slotMs; slotAt <= now.getTime(); slotAt += slotMs) {
+        for (const user of activeUsers) {
+          if (!missed.has(user.telegram_user_id) && deliveryTime.isDeliveryDue(user, new Date(slotAt))) {
+            missed.set(user.telegram_user_id, { user, slotAt: new Date(slotAt) });
+          }
+        }
+      }
+
+      if (missed.size > 0) {
+        console.log(`⏪ Catching up ${missed.size} daily lessons missed since ${lastRun}`);
+        await this.deliverDailyLessons([...missed.values()]);
+      }
+      await database.setState(LAST_DELIVERY_RUN_KEY, now.toISOString());
+    } catch (error) {
+      console.error('❌ Error in catchUpMissedDeliveries:', error);
+    }
+  }
+
+  // Queue the daily lesson for each { user, slotAt }, at most once per user per local day
+  async deliverDailyLessons(entries) {
+    // Skip users who already have a lesson for that local day (catch-up, restarts, welcome lesson)
+    const pending = [];
+    for (const entry of entries) {
+      entry.localDate = deliveryTime.getUserLocalDate(entry.user, entry.slotAt);
+      const existing = await database.getDelivery(entry.user.telegram_user_id, entry.localDate);
+      if (!existing) pending.push(entry);
+    }
+    if (pending.length === 0) return;
+
+    console.log(`📤 Queuing daily messages for ${pending.length} users`);
+
+    // One sentence per difficulty level and local date, reused if it was already chosen
+    const difficultySentences = {};
+    const lessonKey = (level, localDate) => `${level}|${localDate}`;
+    const needed = new Map(pending.map(entry => [
+      lessonKey(entry.user.difficulty_level, entry.localDate),
+      { level: entry.user.difficulty_level, localDate: entry.localDate }
+    ]));
+    for (const [key, { level, localDate }] of needed) {
+      try {
+        difficultySentences[key] = await deepseekService.getDailySentence(level, localDate);
+        console.log(`✅ Sentence ready for difficulty ${level} on ${localDate}`);
+      } catch (error) {
+        console.error(`❌ Error generating sentence for difficulty ${level} on ${localDate}:`, error);
+      }
+    }
+
+    // Queue messages for all users
+    let queued = 0;
+    for (const { user, localDate, slotAt } of pending) {
+      try {
+        const lesson = difficultySentences[lessonKey(user.difficulty_level, localDate)];
+        if (!lesson) {
+          console.error(`❌ No sentence data for difficulty level ${user.difficulty_level}`);
+          continue;
+        }
+
+        // Convert telegram_user_id (string) to number for chatId (Telegram API requires number for private chats)
+        const chatId = parseInt(user.telegram_user_id, 10);
+        if (isNaN(chatId)) {
+          console.error(`❌ Invalid chatId for user ${user.telegram_user_id}`);
+          continue;
+        }
+
+        const deliveryId = await database.createDelivery({
+          telegramUserId: user.telegram_user_id,
+          sentenceId: lesson.sentenceId,
+          localDate
+        });
+        if (!deliveryId) continue; // Delivered concurrently
+
+        // Words already due are listed under the lesson; today's words join the deck afterwards
+        const review = config.REVIEW.DAILY_BLOCK ? await this.createReviewBlock(user, slotAt) : null;
+        const message = this.createDailyMessage(lesson.sentenceData) + (review ? review.text : '');
+        const queueMessageId = await messageQueue.addMessage(chatId, message, review ? review.options : {});
+        await database.setDeliveryQueueMessage(deliveryId, queueMessageId);
+        await database.addVocabCards(
+          user.telegram_user_id,
+          lesson.sentenceId,
+          spacedRepetition.extractVocabulary(lesson.sentenceData.word_breakdown),
+          spacedRepetition.firstDueAt(slotAt)
+        );
+        queued++;
+      } catch (error) {
+        console.error(`❌ Error queuing message for user ${user.telegram_user_id}:`, error);
+      }
+    }
+
+    console.log(`📋 Queued ${queued} daily messages`);
+  }
+
+  // Review reminder appended to the daily lesson, or null when no card is due
+  async createReviewBlock(user, now) {
+    const summary = await database.getVocabDeckSummary(user.telegram_user_id, now);
+    if (summary.due === 0) return null;
+
+    const cards = await database.getDueVocabCards(user.telegram_user_id, now, config.REVIEW.DAILY_BLOCK_WORDS);
+    const words = cards.map(card => `• ${card.word}`).join('\n');
+    const more = summary.due > cards.length ? `\n…ほか${summary.due - cards.length}語` : '';
+
+    return {
+      text: `\n\n🔁 復習の時間です（${summary.due}語）\n${words}${more}\n\n意味を覚えていますか？ /review で確認しましょう！`,
+      options: {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔁 復習する', callback_data: 'review' }]]
+        }
+      }
+    };
+  }
+
   async getActiveUsers() {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT u.*, s.expires_at 
+        SELECT u.*, MAX(s.expires_at) AS expires_at 
         FROM users u
         JOIN subscriptions s ON u.telegram_user_id = s.telegram_user_id
-        WHERE s.status = 'active' AND s.expires_at > datetime('now')
+        WHERE s.status = 'active' AND s.expires_at > ?
+        AND u.is_active = 1
+        GROUP BY u.telegram_user_id
       `;
       
-      database.db.all(query, [], (err, rows) => {
+      // One row per user even when renewals are stacked
+      database.db.all(query, [new Date().toISOString()], (err, rows) => {
         if (err) {
           console.error('❌ Error getting active users:', err);
           reject(err);
@@ -125,31 +435,6 @@ ${sentenceData.japanese_translation}
 英語の文章を練習しましょう！`;
   }
 
-  async saveSentence(sentenceData, difficultyLevel) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO sentences (english_text, japanese_translation, difficulty_level, word_breakdown)
-        VALUES (?, ?, ?, ?)
-      `;
-      
-      const wordBreakdown = JSON.stringify(sentenceData.word_breakdown || []);
-      
-      database.db.run(query, [
-        sentenceData.english_text,
-        sentenceData.japanese_translation,
-        difficultyLevel,
-        wordBreakdown
-      ], function(err) {
-        if (err) {
-          console.error('❌ Error saving sentence:', err);
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      });
-    });
-  }
-
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,116 @@
+const config = require('../config');
+const database = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adaptive Level - Suggests or applies difficulty changes from recorded performance
+ * Practice grades and quiz accuracy from user_progress are combined into one score per
+ * day over a rolling window; the level moves on the median day, so a single bad (or
+ * lucky) day cannot trigger a change on its own.
+ * Hysteresis: promotion and demotion thresholds are far apart, only activity at the
+ * current level counts, and no change follows within COOLDOWN_DAYS of the last one
+ */
+class AdaptiveLevel {
+  constructor() {
+    const levels = Object.keys(config.DIFFICULTY_LEVELS).map(Number);
+    this.minLevel = Math.min(...levels);
+    this.maxLevel = Math.max(...levels);
+  }
+
+  // Practice average and quiz accuracy combined with QUIZ_WEIGHT (either alone when the other is missing)
+  combine(practiceAverage, quizAccuracy) {
+    if (practiceAverage === null) return quizAccuracy;
+    if (quizAccuracy === null) return practiceAverage;
+    const weight = config.ADAPTIVE_LEVEL.QUIZ_WEIGHT;
+    return practiceAverage * (1 - weight) + quizAccuracy * weight;
+  }
+
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Combine per-day rows from database.getPerformanceByDay
+   * score is the median of the daily combined scores
+   * @param {Array<{day: string, activity_type: string, average: number, attempts: number}>} rows
+   * @returns {{practiceAverage: number|null, quizAccuracy: number|null, score: number|null, activeDays: number, attempts: number}}
+   */
+  summarize(rows) {
+    const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    const averageOf = (dayRows, type) => mean(dayRows.filter(row => row.activity_type === type).map(row => row.average));
+
+    const days = new Map();
+    for (const row of rows) {
+      if (!days.has(row.day)) days.set(row.day, []);
+      days.get(row.day).push(row);
+    }
+    const dailyScores = [...days.values()].map(dayRows => this.combine(averageOf(dayRows, 'practice'), averageOf(dayRows, 'quiz')));
+
+    return {
+      practiceAverage: averageOf(rows, 'practice'),
+      quizAccuracy: averageOf(rows, 'quiz'),
+      score: this.median(dailyScores),
+      activeDays: days.size,
+      attempts: rows.reduce((sum, row) => sum + row.attempts, 0)
+    };
+  }
+
+  /**
+   * Decide whether a user's level should move
+   * @param {Object} user - Row from users
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object>} Summary plus toLevel (null when nothing should change)
+   */
+  async evaluate(user, now = new Date()) {
+    const settings = config.ADAPTIVE_LEVEL;
+    const level = user.difficulty_level;
+    let since = new Date(now.getTime() - settings.WINDOW_DAYS * DAY_MS);
+
+    const latest = await database.getLatestLevelChange(user.telegram_user_id);
+    if (latest) {
+      const changedAt = new Date(latest.resolved_at || latest.created_at);
+      if (now.getTime() - changedAt.getTime() < settings.COOLDOWN_DAYS * DAY_MS) {
+        return { toLevel: null, reason: 'cooldown' };
+      }
+      // Only performance at the current level counts
+      if ((latest.status === 'applied' || latest.status === 'undone') && changedAt > since) {
+        since = changedAt;
+      }
+    }
+
+    const summary = this.summarize(await database.getPerformanceByDay(user.telegram_user_id, since));
+    if (summary.activeDays < settings.MIN_ACTIVE_DAYS || summary.attempts < settings.MIN_ATTEMPTS) {
+      return { ...summary, toLevel: null, reason: 'not_enough_data' };
+    }
+
+    let toLevel = null;
+    if (summary.score >= settings.PROMOTE_SCORE && level < this.maxLevel) {
+      toLevel = level + 1;
+    } else if (summary.score < settings.DEMOTE_SCORE && level > this.minLevel) {
+      toLevel = level - 1;
+    }
+    return { ...summary, toLevel, reason: toLevel ? 'threshold' : 'within_band' };
+  }
+
+  /**
+   * Performance lines shown with a change or suggestion
+   * @param {Object} evaluation - Result of evaluate()
+   * @returns {string}
+   */
+  formatEvaluation(evaluation) {
+    const lines = [`📊 最近の成績（${evaluation.activeDays}日間・${evaluation.attempts}回）`];
+    if (evaluation.practiceAverage !== null) {
+      lines.push(`• 練習の平均点: ${Math.round(evaluation.practiceAverage)}点`);
+    }
+    if (evaluation.quizAccuracy !== null) {
+      lines.push(`• クイズの正答率: ${Math.round(evaluation.quizAccuracy)}%`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = new AdaptiveLevel();
@@ -1,53 +1,71 @@
 const axios = require('axios');
 const config = require('../config');
 const database = require('../database');
+const lessonValidator = require('./lessonValidator');
+
+// Thrown when DeepSeek keeps returning invalid lessons after the correction re-prompts
+class LessonValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'LessonValidationError';
+    this.errors = errors;
+  }
+}
 
 class DeepSeekService {
   constructor() {
     this.apiKey = config.DEEPSEEK_API_KEY;
     this.apiUrl = config.DEEPSEEK_API_URL;
-    this.sentenceCache = {}; // Cache for sentences by difficulty level
-    this.lastCacheDate = null; // Track when cache was last updated
+    this.pendingDailySentences = new Map(); // "level|date" -> generation in flight
   }
 
-  // Sanitize pronunciation to only use katakana (カタカナ)
-  sanitizePronunciation(text) {
-    if (!text) return '';
-    // Only allow: katakana characters (\u30A0-\u30FF), spaces, hyphens, long vowel mark (ー)
-    return text.toString().replace(/[^\u30A0-\u30FF\s\-ー]/g, '').trim();
+  /**
+   * The lesson sentence of a difficulty level for a local date
+   * Reuses the sentence already chosen for that level and date (stored in
+   * daily_sentences), so restarts and catch-up runs never generate a second one
+   * @param {number} difficultyLevel
+   * @param {string} localDate - YYYY-MM-DD in the recipients' timezone
+   * @returns {Promise<{sentenceData: Object, sentenceId: number}>}
+   */
+  async getDailySentence(difficultyLevel, localDate) {
+    const key = `${difficultyLevel}|${localDate}`;
+    if (!this.pendingDailySentences.has(key)) {
+      const pending = this.loadOrCreateDailySentence(difficultyLevel, localDate)
+        .finally(() => this.pendingDailySentences.delete(key));
+      this.pendingDailySentences.set(key, pending);
+    }
+    return this.pendingDailySentences.get(key);
   }
 
-  // Check if cache needs to be reset (8:00 AM JST)
-  shouldResetCache() {
-    const now = new Date();
-    const japanTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Tokyo"}));
-    const currentHour = japanTime.getHours();
-    const currentDate = japanTime.toDateString();
-    
-    // Reset cache at 8:00 AM JST or if it's a new day after 8 AM
-    const shouldReset = (currentHour >= 8 && this.lastCacheDate !== currentDate) || 
-                       (this.lastCacheDate && this.lastCacheDate !== currentDate);
-    
-    if (shouldReset) {
-      console.log('🔄 8:00 AM JST detected, resetting sentence cache');
-      this.sentenceCache = {};
-      this.lastCacheDate = currentDate;
-      return true;
+  async loadOrCreateDailySentence(difficultyLevel, localDate) {
+    let row = await database.getDailySentence(difficultyLevel, localDate);
+    if (row) {
+      console.log(`📦 Using the ${localDate} sentence for difficulty ${difficultyLevel}`);
+    } else {
+      const generated = await this.generateEnglishSentence(difficultyLevel);
+      const sentenceId = await database.saveSentence(generated, difficultyLevel);
+      row = await database.setDailySentence(difficultyLevel, localDate, sentenceId);
     }
-    return false;
+
+    let wordBreakdown = [];
+    try {
+      wordBreakdown = JSON.parse(row.word_breakdown || '[]');
+    } catch (error) {
+      console.error(`❌ Invalid word breakdown for sentence ${row.id}:`, error.message);
+    }
+
+    return {
+      sentenceId: row.id,
+      sentenceData: {
+        english_text: row.english_text,
+        japanese_translation: row.japanese_translation,
+        word_breakdown: wordBreakdown
+      }
+    };
   }
 
-  // Get cached sentence or generate new one
+  // Generate a new sentence (use getDailySentence() for lessons)
   async generateEnglishSentence(difficultyLevel, retryCount = 0) {
-    // Check if cache needs reset
-    this.shouldResetCache();
-    
-    // Return cached sentence if available
-    if (this.sentenceCache[difficultyLevel]) {
-      console.log(`📦 Using cached sentence for difficulty ${difficultyLevel}`);
-      return this.sentenceCache[difficultyLevel];
-    }
-    
     console.log(`🔄 Generating new sentence for difficulty ${difficultyLevel}`);
     
     try {
@@ -69,7 +87,7 @@ class DeepSeekService {
       - Completely unique and different from previously generated sentences
       
       For word_breakdown, provide an array of objects with:
-      - word: the individual English word
+      - word: the individual English word, exactly as it appears in english_text
       - meaning: Japanese meaning (日本語の意味)
       - pinyin: English pronunciation in katakana (カタカナ表記)
       
@@ -92,113 +110,35 @@ class DeepSeekService {
       - Avoid repeating similar sentence patterns or word combinations
       - Be creative and diverse in your sentence generation${avoidPrompt}
 
-      Format the response as JSON with fields: english_text, japanese_translation, word_breakdown`;
-
-      const response = await axios.post(this.apiUrl, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.9, // Increased from 0.7 for more variation
-        max_tokens: 1500
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      Respond with a single JSON object in exactly this format:
+      {"english_text": "I like to eat pizza.", "japanese_translation": "私はピザを食べるのが好きです。", "word_breakdown": [{"word": "I", "meaning": "私", "pinyin": "アイ"}, {"word": "like", "meaning": "好き", "pinyin": "ライク"}]}`;
 
-      const content = response.data.choices[0].message.content;
-      console.log('🔍 DeepSeek raw response:', content);
+      const parsed = await this.requestLesson(prompt);
+      console.log('🔍 English text:', parsed.english_text);
+
+      // Check for duplicate sentences
+      const isDuplicate = recentEnglishTexts.some(recentText => 
+        recentText.trim().toLowerCase() === parsed.english_text.trim().toLowerCase()
+      );
       
-      try {
-        // Clean up the response - remove markdown code blocks
-        let cleanContent = content.trim();
-        if (cleanContent.startsWith('```json')) {
-          cleanContent = cleanContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        }
-        if (cleanContent.startsWith('```')) {
-          cleanContent = cleanContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        console.log('🔍 Cleaned content length:', cleanContent.length);
-        console.log('🔍 Cleaned content preview:', cleanContent.substring(0, 200) + '...');
-        
-        const parsed = JSON.parse(cleanContent);
-        console.log('🔍 Parsed JSON successfully');
-        console.log('🔍 English text:', parsed.english_text);
-        
-        // Validate that we have actual English text
-        if (!parsed.english_text || parsed.english_text.trim() === '' || parsed.english_text.includes('```')) {
-          throw new Error('Invalid English text in response');
-        }
-        
-        // Check for duplicate sentences
-        const isDuplicate = recentEnglishTexts.some(recentText => 
-          recentText.trim().toLowerCase() === parsed.english_text.trim().toLowerCase()
-        );
-        
-        if (isDuplicate) {
-          console.log(`⚠️ Duplicate sentence detected: "${parsed.english_text}"`);
-          if (retryCount < 3) {
-            console.log(`🔄 Retrying with different prompt (attempt ${retryCount + 1})...`);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return this.generateEnglishSentence(difficultyLevel, retryCount + 1);
-          } else {
-            console.log(`⚠️ Max retries reached, using sentence despite duplicate check`);
-          }
-        }
-        
-        // Sanitize and add katakana pronunciation if missing
-        if (parsed.word_breakdown && Array.isArray(parsed.word_breakdown)) {
-          parsed.word_breakdown.forEach(word => {
-            if (word.pinyin) {
-              // Sanitize existing pronunciation to remove non-katakana characters
-              const sanitized = this.sanitizePronunciation(word.pinyin);
-              if (sanitized !== word.pinyin) {
-                console.log(`🔧 Sanitized pronunciation: "${word.pinyin}" → "${sanitized}"`);
-              }
-              word.pinyin = sanitized;
-            }
-            
-            if (!word.pinyin || word.pinyin.trim() === '') {
-              // Simple katakana fallback based on common English words
-              const katakanaMap = {
-                'I': 'アイ',
-                'like': 'ライク',
-                'to': 'トゥ',
-                'eat': 'イート',
-                'pizza': 'ピザ',
-                'hello': 'ハロー',
-                'thank you': 'サンキュー',
-                'yes': 'イエス',
-                'no': 'ノー'
-              };
-              word.pinyin = katakanaMap[word.word.toLowerCase()] || '';
-            }
-          });
+      if (isDuplicate) {
+        console.log(`⚠️ Duplicate sentence detected: "${parsed.english_text}"`);
+        if (retryCount < 3) {
+          console.log(`🔄 Retrying with different prompt (attempt ${retryCount + 1})...`);
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          return this.generateEnglishSentence(difficultyLevel, retryCount + 1);
+        } else {
+          console.log(`⚠️ Max retries reached, using sentence despite duplicate check`);
         }
-        
-        // Cache the generated sentence
-        this.sentenceCache[difficultyLevel] = parsed;
-        console.log(`💾 Cached sentence for difficulty ${difficultyLevel}`);
-        
-        return parsed;
-      } catch (parseError) {
-        console.error('❌ JSON parsing failed:', parseError.message);
-        console.error('❌ Raw content:', content);
-        
-        throw new Error('Failed to parse AI response');
       }
+      
+      return parsed;
     } catch (error) {
       console.error(`❌ DeepSeek API error (attempt ${retryCount + 1}):`, error.message);
       
-      // Retry logic
+      // Retry logic - only for transport errors, 429 and 5xx; invalid lessons were already re-prompted
       const maxRetries = 3;
-      if (retryCount < maxRetries) {
+      if (retryCount < maxRetries && this.isRetryable(error)) {
         const baseDelay = 1000; // 1 second base delay
         const delay = baseDelay * Math.pow(2, retryCount); // Exponential backoff
         console.log(`🔄 Retrying in ${delay}ms...`);
@@ -210,6 +150,70 @@ class DeepSeekService {
       throw error;
     }
   }
+
+  // Network failures, rate limiting and server errors are worth another request
+  isRetryable(error) {
+    if (error instanceof LessonValidationError || !axios.isAxiosError(error)) return false;
+    const status = error.response && error.response.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  // POST a chat completion in JSON mode and return the message content
+  async requestCompletion(messages) {
+    const response = await axios.post(this.apiUrl, {
+      model: 'deepseek-chat',
+      messages,
+      response_format: { type: 'json_object' },
+      temperature: 0.9, // Increased from 0.7 for more variation
+      max_tokens: 1500
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    return response.data.choices[0].message.content || '';
+  }
+
+  /**
+   * Ask for a lesson and validate it, re-prompting with the validation errors
+   * in the same conversation (up to config.DEEPSEEK_MAX_CORRECTIONS times)
+   * @param {string} prompt - Lesson generation prompt
+   * @returns {Promise<Object>} Normalized lesson
+   */
+  async requestLesson(prompt) {
+    const messages = [{ role: 'user', content: prompt }];
+
+    for (let correction = 0; ; correction++) {
+      const content = await this.requestCompletion(messages);
+      console.log('🔍 DeepSeek raw response:', content);
+
+      let lesson = null;
+      let errors;
+      try {
+        lesson = JSON.parse(content);
+        errors = lessonValidator.validate(lesson).errors;
+      } catch (parseError) {
+        errors = [`The response is not valid JSON (${parseError.message}).`];
+      }
+
+      if (errors.length === 0) {
+        return lessonValidator.normalize(lesson);
+      }
+
+      console.warn(`⚠️ Invalid lesson from DeepSeek (${errors.length} problems): ${errors.join(' ')}`);
+      if (correction >= config.DEEPSEEK_MAX_CORRECTIONS) {
+        throw new LessonValidationError(`Invalid lesson after ${correction + 1} responses: ${errors.join(' ')}`, errors);
+      }
+
+      console.log(`🔁 Asking DeepSeek to correct the lesson (correction ${correction + 1})`);
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `Your JSON has these problems:\n${errors.map(error => `- ${error}`).join('\n')}\n\nFix them and respond with the complete corrected JSON object in the same format.` }
+      );
+    }
+  }
 }
 
 module.exports = new DeepSeekService();
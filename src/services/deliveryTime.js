@@ -0,0 +1,94 @@
+const config = require('../config');
+
+/**
+ * Delivery Time - Local-time helpers for per-user lesson delivery
+ * Users pick a local HH:MM and an IANA timezone; the scheduler works in
+ * fixed slots (SLOT_MINUTES) so a user is due in exactly one slot per day
+ */
+class DeliveryTime {
+  /**
+   * Timezone of a user, falling back to the default for missing or unknown values
+   * @param {Object} user - Row from users
+   * @returns {string} IANA timezone
+   */
+  getTimezone(user) {
+    const timezone = (user && user.timezone) || config.DELIVERY.DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      console.error(`❌ Invalid timezone "${timezone}" for user ${user && user.telegram_user_id}`);
+      return config.DELIVERY.DEFAULT_TIMEZONE;
+    }
+  }
+
+  /**
+   * Local "HH:MM" of a moment in a timezone, rounded down to the delivery slot
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {string}
+   */
+  getLocalSlot(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+    return this.formatSlot(hour, minute);
+  }
+
+  /**
+   * Local calendar date of a moment in a timezone
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {string} "YYYY-MM-DD"
+   */
+  getLocalDate(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  /**
+   * Round "HH:MM" down to the delivery slot, e.g. "07:40" -> "07:30"
+   * @param {string} time - Local time (defaults to the default delivery time)
+   * @returns {string}
+   */
+  toSlot(time) {
+    const [hour, minute] = (time || config.DELIVERY.DEFAULT_TIME).split(':').map(part => parseInt(part, 10));
+    return this.formatSlot(hour, minute);
+  }
+
+  formatSlot(hour, minute) {
+    const slotMinute = Math.floor(minute / config.DELIVERY.SLOT_MINUTES) * config.DELIVERY.SLOT_MINUTES;
+    return `${String(hour).padStart(2, '0')}:${String(slotMinute).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether a user's delivery slot is the slot containing a moment, in their timezone
+   * @param {Object} user - Row from users (delivery_time, timezone)
+   * @param {Date} date - Moment to check
+   * @returns {boolean}
+   */
+  isDeliveryDue(user, date) {
+    return this.getLocalSlot(date, this.getTimezone(user)) === this.toSlot(user.delivery_time);
+  }
+
+  /**
+   * Today's local date for a user
+   * @param {Object} user - Row from users
+   * @param {Date} date - Moment (defaults to now)
+   * @returns {string} "YYYY-MM-DD"
+   */
+  getUserLocalDate(user, date = new Date()) {
+    return this.getLocalDate(date, this.getTimezone(user));
+  }
+}
+
+module.exports = new DeliveryTime();
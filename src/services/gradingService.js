@@ -0,0 +1,187 @@
+const config = require('../config');
+
+/**
+ * Grading Service - Scores typed practice answers against a lesson sentence
+ * Words are aligned in order; normalized edit distance gives partial credit for small typos
+ */
+class GradingService {
+  constructor() {
+    // Edit distance / longer word length at or below this counts as a typo of the expected word
+    this.typoThreshold = 0.4;
+    // A typed word shorter than this share of the expected word gets no credit (initials, prefixes)
+    this.minLengthRatio = 0.7;
+  }
+
+  // Levenshtein distance between two words, a swap of adjacent letters counting as one edit
+  editDistance(a, b) {
+    const table = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) table[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          table[i][j] = Math.min(table[i][j], table[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return table[a.length][b.length];
+  }
+
+  /**
+   * Credit for typing one word where another was expected
+   * @returns {number} 1 = exact match, (0, 1) = typo, 0 = no match
+   */
+  wordSimilarity(expected, typed) {
+    if (expected === typed) return 1;
+    if (typed.length < expected.length * this.minLengthRatio) return 0;
+
+    const ratio = this.editDistance(expected, typed) / Math.max(expected.length, typed.length);
+    return ratio <= this.typoThreshold ? 1 - ratio : 0;
+  }
+
+  /**
+   * Split a sentence into lowercase words without punctuation
+   * @param {string} text - Sentence text
+   * @returns {Array<string>} Normalized words
+   */
+  tokenize(text) {
+    if (!text) return [];
+    return text
+      .toString()
+      .toLowerCase()
+      .replace(/[’‘]/g, "'")
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Build a similarity matrix between typed and expected words
+   * 1 = exact match, (0, 1) = typo, 0 = no match
+   */
+  buildSimilarity(expectedWords, typedWords) {
+    return typedWords.map(typed => expectedWords.map(expected => this.wordSimilarity(expected, typed)));
+  }
+
+  /**
+   * Grade a typed answer against the expected sentence
+   * @param {string} expectedText - Lesson sentence
+   * @param {string} userText - What the learner typed
+   * @returns {{score: number, band: string, isCorrect: boolean, diff: Array<Object>}}
+   */
+  grade(expectedText, userText) {
+    const expectedWords = this.tokenize(expectedText);
+    const typedWords = this.tokenize(userText);
+    const similarity = this.buildSimilarity(expectedWords, typedWords);
+
+    // Weighted LCS: best in-order alignment of typed words to expected words
+    const rows = expectedWords.length;
+    const cols = typedWords.length;
+    const table = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+    for (let i = 1; i <= rows; i++) {
+      for (let j = 1; j <= cols; j++) {
+        const weight = similarity[j - 1][i - 1];
+        table[i][j] = Math.max(
+          table[i - 1][j],
+          table[i][j - 1],
+          weight > 0 ? table[i - 1][j - 1] + weight : 0
+        );
+      }
+    }
+
+    // Walk back through the table to build the word-level diff
+    const diff = [];
+    let i = rows;
+    let j = cols;
+    while (i > 0 || j > 0) {
+      const weight = i > 0 && j > 0 ? similarity[j - 1][i - 1] : 0;
+      if (weight > 0 && table[i][j] === table[i - 1][j - 1] + weight) {
+        diff.unshift({
+          type: weight === 1 ? 'match' : 'typo',
+          expected: expectedWords[i - 1],
+          typed: typedWords[j - 1]
+        });
+        i--;
+        j--;
+      } else if (i > 0 && (j === 0 || table[i][j] === table[i - 1][j])) {
+        diff.unshift({ type: 'missing', expected: expectedWords[i - 1] });
+        i--;
+      } else {
+        diff.unshift({ type: 'extra', typed: typedWords[j - 1] });
+        j--;
+      }
+    }
+
+    const longest = Math.max(rows, cols);
+    const score = longest === 0 ? 0 : Math.round((table[rows][cols] / longest) * 100);
+    const band = this.getBand(score);
+
+    return {
+      score,
+      band,
+      isCorrect: score >= config.GRADING.GOOD,
+      diff
+    };
+  }
+
+  /**
+   * Map a score to a GRADING band (anything below FAIR is POOR)
+   * @param {number} score - Score from 0 to 100
+   * @returns {string} EXCELLENT, GOOD, FAIR or POOR
+   */
+  getBand(score) {
+    if (score >= config.GRADING.EXCELLENT) return 'EXCELLENT';
+    if (score >= config.GRADING.GOOD) return 'GOOD';
+    if (score >= config.GRADING.FAIR) return 'FAIR';
+    return 'POOR';
+  }
+
+  /**
+   * Format the grading result as a Telegram message
+   * @param {Object} result - Result from grade()
+   * @param {string} expectedText - Lesson sentence
+   * @returns {string} Message text
+   */
+  formatResult(result, expectedText) {
+    const bandLabels = {
+      EXCELLENT: '🌟 EXCELLENT - 素晴らしい！',
+      GOOD: '👍 GOOD - よくできました！',
+      FAIR: '🙂 FAIR - もう少しです！',
+      POOR: '💪 POOR - もう一度挑戦しましょう！'
+    };
+
+    let diffText = '';
+    for (const entry of result.diff) {
+      switch (entry.type) {
+        case 'match':
+          diffText += `✅ ${entry.expected}\n`;
+          break;
+        case 'typo':
+          diffText += `✏️ ${entry.typed} → ${entry.expected}\n`;
+          break;
+        case 'missing':
+          diffText += `❌ ${entry.expected}（抜けています）\n`;
+          break;
+        case 'extra':
+          diffText += `➕ ${entry.typed}（余分です）\n`;
+          break;
+      }
+    }
+
+    return `📝 練習の結果
+
+${bandLabels[result.band]}
+スコア: ${result.score}点
+
+🎯 正しい文章:
+${expectedText}
+
+🔍 単語ごとの比較:
+${diffText}`;
+  }
+}
+
+module.exports = new GradingService();
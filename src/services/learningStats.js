@@ -0,0 +1,206 @@
+const database = require('../database');
+const deliveryTime = require('./deliveryTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * Learning Stats - Streaks and progress figures for /status and the weekly summary
+ * Built from user_progress (practice and quiz answers), deliveries and vocab_cards.
+ * Days are the user's local days (delivery timezone); a day counts towards the
+ * streak when the user practiced or answered a quiz
+ */
+class LearningStats {
+  /**
+   * Shift a local date string by whole days
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} YYYY-MM-DD
+   */
+  addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  weekday(date) {
+    return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  }
+
+  // user_progress.created_at is CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC)
+  progressDate(row) {
+    return new Date(`${row.created_at.replace(' ', 'T')}Z`);
+  }
+
+  /**
+   * Current and longest run of consecutive active days
+   * The current streak survives until the end of today, so it counts back from
+   * yesterday when there is no activity yet today
+   * @param {Set<string>} activeDays - Local dates with activity
+   * @param {string} today - Local date of today
+   * @returns {{current: number, longest: number}}
+   */
+  computeStreaks(activeDays, today) {
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of [...activeDays].sort()) {
+      run = previous && this.addDays(previous, 1) === day ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = day;
+    }
+
+    let current = 0;
+    let day = activeDays.has(today) ? today : this.addDays(today, -1);
+    while (activeDays.has(day)) {
+      current++;
+      day = this.addDays(day, -1);
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * All-time statistics of a user
+   * @param {Object} user - Row from users
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>}
+   */
+  async getStats(user, now = new Date()) {
+    const userId = user.telegram_user_id;
+    const timezone = deliveryTime.getTimezone(user);
+    const today = deliveryTime.getLocalDate(now, timezone);
+
+    const progress = await database.getProgressHistory(userId);
+    const deliveries = await database.getDeliveryHistory(userId);
+    const deck = await database.getVocabDeckSummary(userId, now);
+
+    const activeDays = new Set(progress.map(row => deliveryTime.getLocalDate(this.progressDate(row), timezone)));
+    const streaks = this.computeStreaks(activeDays, today);
+
+    const practice = progress.filter(row => row.activity_type === 'practice');
+    const quizzes = progress.filter(row => row.activity_type === 'quiz');
+
+    const byLevel = new Map();
+    for (const row of practice) {
+      if (row.difficulty_level == null || row.grade == null) continue;
+      const level = byLevel.get(row.difficulty_level) || { level: row.difficulty_level, total: 0, attempts: 0 };
+      level.total += row.grade;
+      level.attempts++;
+      byLevel.set(row.difficulty_level, level);
+    }
+
+    const practicedSentences = new Set(practice.map(row => row.sentence_id));
+    const received = deliveries.filter(delivery => delivery.status === 'sent');
+
+    return {
+      today,
+      progress, // Rows loaded for these figures, reused by getWeeklySummary()
+      deliveries,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest,
+      lessonsReceived: received.length,
+      lessonsPracticed: received.filter(delivery => practicedSentences.has(delivery.sentence_id)).length,
+      averageByLevel: [...byLevel.values()]
+        .sort((a, b) => a.level - b.level)
+        .map(({ level, total, attempts }) => ({ level, average: total / attempts, attempts })),
+      quizAttempts: quizzes.length,
+      quizAccuracy: quizzes.length > 0 ? (quizzes.filter(row => row.is_correct).length / quizzes.length) * 100 : null,
+      wordsLearned: deck.learned,
+      deckSize: deck.total,
+      lastSevenDays: [6, 5, 4, 3, 2, 1, 0].map(daysAgo => {
+        const date = this.addDays(today, -daysAgo);
+        return { date, weekday: this.weekday(date), active: activeDays.has(date) };
+      })
+    };
+  }
+
+  /**
+   * Figures for the 7 local days ending today
+   * @param {Object} user - Row from users
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>}
+   */
+  async getWeeklySummary(user, now = new Date()) {
+    const timezone = deliveryTime.getTimezone(user);
+    const stats = await this.getStats(user, now);
+    const weekStart = stats.lastSevenDays[0].date;
+
+    const progress = stats.progress
+      .filter(row => deliveryTime.getLocalDate(this.progressDate(row), timezone) >= weekStart);
+    const practice = progress.filter(row => row.activity_type === 'practice' && row.grade != null);
+    const quizzes = progress.filter(row => row.activity_type === 'quiz');
+    const lessons = stats.deliveries
+      .filter(delivery => delivery.status === 'sent' && delivery.local_date >= weekStart);
+
+    return {
+      stats,
+      activeDays: stats.lastSevenDays.filter(day => day.active).length,
+      lessonsReceived: lessons.length,
+      practices: practice.length,
+      averageGrade: practice.length > 0 ? practice.reduce((sum, row) => sum + row.grade, 0) / practice.length : null,
+      quizzes: quizzes.length,
+      quizAccuracy: quizzes.length > 0 ? (quizzes.filter(row => row.is_correct).length / quizzes.length) * 100 : null,
+      newWords: await database.countVocabCardsSince(user.telegram_user_id, new Date(now.getTime() - 7 * DAY_MS))
+    };
+  }
+
+  // Text bar of the last 7 days, e.g. "月 火 水 …" over "🟩 ⬜ 🟩 …"
+  formatActivityBar(days) {
+    return `${days.map(day => day.weekday).join(' ')}\n${days.map(day => (day.active ? '🟩' : '⬜')).join(' ')}`;
+  }
+
+  /**
+   * Stats block for /status
+   * @param {Object} stats - Result of getStats()
+   * @returns {string}
+   */
+  formatStats(stats) {
+    const lines = [
+      '📈 学習の記録',
+      `🔥 連続学習: ${stats.currentStreak}日（最長 ${stats.longestStreak}日）`,
+      `📚 レッスン: 受信 ${stats.lessonsReceived}回 / 練習 ${stats.lessonsPracticed}回`
+    ];
+
+    if (stats.averageByLevel.length > 0) {
+      lines.push('📝 レベル別の平均点:');
+      for (const { level, average, attempts } of stats.averageByLevel) {
+        lines.push(`  • レベル ${level}: ${Math.round(average)}点（${attempts}回）`);
+      }
+    }
+    if (stats.quizAccuracy !== null) {
+      lines.push(`🧩 クイズ正答率: ${Math.round(stats.quizAccuracy)}%（${stats.quizAttempts}問）`);
+    }
+    lines.push(`🧠 覚えた単語: ${stats.wordsLearned}語（単語帳 ${stats.deckSize}語）`);
+    lines.push('');
+    lines.push('📅 直近7日間');
+    lines.push(this.formatActivityBar(stats.lastSevenDays));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Weekly summary message sent on Sundays
+   * @param {Object} summary - Result of getWeeklySummary()
+   * @returns {string}
+   */
+  formatWeeklySummary(summary) {
+    const lines = [
+      '🗓️ 今週の学習まとめ',
+      '',
+      this.formatActivityBar(summary.stats.lastSevenDays),
+      '',
+      `✅ 学習した日: ${summary.activeDays}/7日`,
+      `📚 受け取ったレッスン: ${summary.lessonsReceived}回`,
+      `✍️ 練習: ${summary.practices}回${summary.averageGrade !== null ? `（平均 ${Math.round(summary.averageGrade)}点）` : ''}`,
+      `🧩 クイズ: ${summary.quizzes}問${summary.quizAccuracy !== null ? `（正答率 ${Math.round(summary.quizAccuracy)}%）` : ''}`,
+      `🆕 新しい単語: ${summary.newWords}語`,
+      `🔥 連続学習: ${summary.stats.currentStreak}日`,
+      '',
+      summary.activeDays >= 5
+        ? '素晴らしい一週間でした！この調子で続けましょう！'
+        : '来週も毎日少しずつ練習しましょう！ /quiz や /review もおすすめです。'
+    ];
+    return lines.join('\n');
+  }
+}
+
+module.exports = new LearningStats();
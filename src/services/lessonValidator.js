@@ -0,0 +1,122 @@
+// Katakana block (includes ー and ・), spaces and hyphens
+const KATAKANA_PATTERN = /^[\u30A0-\u30FF\s\-]+$/;
+const JAPANESE_PATTERN = /[\u3040-\u30FF\u4E00-\u9FFF]/; // Hiragana, katakana or kanji
+
+/**
+ * Lesson Validator - Checks the lesson object returned by DeepSeek before it is saved
+ * A lesson is { english_text, japanese_translation, word_breakdown: [{ word, meaning, pinyin }] };
+ * every breakdown word must appear in the sentence and pinyin must be katakana only.
+ * Errors are plain English sentences so they can be sent back to the model as-is
+ */
+class LessonValidator {
+  /**
+   * Lowercased words of a text, punctuation removed (apostrophes kept)
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[^a-z0-9'\s-]/g, ' ')
+      .split(/\s+/)
+      .map(token => token.replace(/^['-]+|['-]+$/g, ''))
+      .filter(Boolean);
+  }
+
+  // Whether the words of a breakdown entry ("to eat", "look forward") appear in order in the sentence
+  appearsIn(word, sentenceTokens) {
+    const wordTokens = this.tokenize(word);
+    if (wordTokens.length === 0) return false;
+
+    for (let start = 0; start + wordTokens.length <= sentenceTokens.length; start++) {
+      if (wordTokens.every((token, i) => sentenceTokens[start + i] === token)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+
+  /**
+   * Validate a parsed lesson
+   * @param {*} lesson - Parsed JSON from the model
+   * @returns {{valid: boolean, errors: Array<string>}}
+   */
+  validate(lesson) {
+    const errors = [];
+
+    if (!lesson || typeof lesson !== 'object' || Array.isArray(lesson)) {
+      return { valid: false, errors: ['The response must be a single JSON object.'] };
+    }
+
+    const englishOk = this.isNonEmptyString(lesson.english_text);
+    if (!englishOk) {
+      errors.push('"english_text" must be a non-empty string.');
+    } else if (lesson.english_text.includes('```') || JAPANESE_PATTERN.test(lesson.english_text)) {
+      errors.push('"english_text" must contain only the English sentence.');
+    }
+
+    if (!this.isNonEmptyString(lesson.japanese_translation)) {
+      errors.push('"japanese_translation" must be a non-empty string.');
+    } else if (!JAPANESE_PATTERN.test(lesson.japanese_translation)) {
+      errors.push('"japanese_translation" must be written in Japanese.');
+    }
+
+    if (!Array.isArray(lesson.word_breakdown)) {
+      errors.push('"word_breakdown" must be an array of objects.');
+    } else if (lesson.word_breakdown.length === 0) {
+      errors.push('"word_breakdown" must not be empty.');
+    } else {
+      const sentenceTokens = englishOk ? this.tokenize(lesson.english_text) : [];
+
+      lesson.word_breakdown.forEach((entry, index) => {
+        const at = `word_breakdown[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+          errors.push(`${at} must be an object with "word", "meaning" and "pinyin".`);
+          return;
+        }
+
+        if (!this.isNonEmptyString(entry.word)) {
+          errors.push(`${at}.word must be a non-empty string.`);
+        } else if (englishOk && !this.appearsIn(entry.word, sentenceTokens)) {
+          errors.push(`${at}.word "${entry.word}" does not appear in english_text.`);
+        }
+
+        if (!this.isNonEmptyString(entry.meaning)) {
+          errors.push(`${at}.meaning must be a non-empty string.`);
+        }
+
+        if (!this.isNonEmptyString(entry.pinyin)) {
+          errors.push(`${at}.pinyin must be a non-empty katakana string.`);
+        } else if (!KATAKANA_PATTERN.test(entry.pinyin.trim())) {
+          errors.push(`${at}.pinyin "${entry.pinyin}" must use katakana only (no hiragana, kanji or romaji).`);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Copy of a valid lesson with trimmed strings and only the known fields
+   * @param {Object} lesson - Lesson that passed validate()
+   * @returns {Object}
+   */
+  normalize(lesson) {
+    return {
+      english_text: lesson.english_text.trim(),
+      japanese_translation: lesson.japanese_translation.trim(),
+      word_breakdown: lesson.word_breakdown.map(entry => ({
+        word: entry.word.trim(),
+        meaning: entry.meaning.trim(),
+        pinyin: entry.pinyin.trim()
+      }))
+    };
+  }
+}
+
+module.exports = new LessonValidator();
@@ -0,0 +1,394 @@
+const axios = require('axios');
+const config = require('../config');
+const database = require('../database');
+const priceService = require('./priceService');
+
+/**
+ * Payment Verifier - Confirms TON and USDT payments against stored payment intents
+ * A payment only counts when it is an inbound transfer to our wallet whose
+ * comment exactly matches the intent reference and whose value covers the
+ * quoted amount (within the configured tolerance)
+ * TON quotes are locked for a payment window; a transfer made after the window
+ * is judged against a fresh quote instead
+ */
+class PaymentVerifier {
+  /**
+   * Convert a TON address (raw "0:hex" or user-friendly base64) to raw form
+   * @param {string} address - TON address in any supported format
+   * @returns {string|null} Lowercase raw address ("workchain:hex") or null if invalid
+   */
+  toRawAddress(address) {
+    if (!address || typeof address !== 'string') return null;
+
+    const trimmed = address.trim();
+    if (/^-?\d+:[0-9a-fA-F]{64}$/.test(trimmed)) {
+      return trimmed.toLowerCase();
+    }
+
+    // User-friendly format: 1 byte flags, 1 byte workchain, 32 bytes hash, 2 bytes CRC
+    const base64 = trimmed.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Buffer.from(base64, 'base64');
+    if (bytes.length !== 36) return null;
+
+    const workchain = bytes[1] === 0xff ? -1 : bytes[1];
+    const hash = bytes.subarray(2, 34).toString('hex');
+    return `${workchain}:${hash}`;
+  }
+
+  /**
+   * Check whether two TON addresses point to the same account
+   * @param {string} a - First address
+   * @param {string} b - Second address
+   * @returns {boolean}
+   */
+  isSameAddress(a, b) {
+    const rawA = this.toRawAddress(a);
+    return rawA !== null && rawA === this.toRawAddress(b);
+  }
+
+  /**
+   * Fetch transactions of our wallet from TON API
+   * @param {number} limit - Number of transactions to fetch
+   * @param {Object} params - Extra query params (after_lt, before_lt, sort_order)
+   * @returns {Promise<Array<Object>>} Transactions (newest first unless sort_order is 'asc')
+   */
+  async fetchTransactions(limit = config.PAYMENT_CHECK.TRANSACTION_LIMIT, params = {}) {
+    const response = await axios.get(`https://tonapi.io/v2/blockchain/accounts/${config.TON_ADDRESS}/transactions`, {
+      headers: {
+        'Authorization': `Bearer ${config.TON_API_KEY}`
+      },
+      params: {
+        ...params,
+        limit
+      }
+    });
+
+    console.log(`📊 TON API response: ${response.status}`);
+    return response.data.transactions || [];
+  }
+
+  /**
+   * Extract the inbound TON transfer of a transaction, if it is one
+   * @param {Object} tx - TON API transaction
+   * @returns {{hash: string, lt: number, utime: number, value: number, comment: string}|null}
+   */
+  getIncomingTransfer(tx) {
+    const inMsg = tx && tx.in_msg;
+    if (!inMsg || inMsg.msg_type !== 'int_msg' || inMsg.bounced) return null;
+    if (tx.success === false || tx.aborted === true) return null;
+
+    // Only messages addressed to our wallet count as payments
+    const destination = inMsg.destination && inMsg.destination.address;
+    if (!this.isSameAddress(destination, config.TON_ADDRESS)) return null;
+
+    const comment = inMsg.decoded_body && typeof inMsg.decoded_body.text === 'string'
+      ? inMsg.decoded_body.text
+      : null;
+    if (comment === null) return null;
+
+    return {
+      hash: tx.hash,
+      lt: tx.lt,
+      utime: tx.utime,
+      value: Number(inMsg.value) || 0,
+      comment
+    };
+  }
+
+  /**
+   * Fetch USDT jetton transfer events of our wallet from TON API
+   * @param {number} limit - Number of events to fetch
+   * @param {Object} params - Extra query params (before_lt)
+   * @returns {Promise<Array<Object>>} Account events (newest first)
+   */
+  async fetchJettonEvents(limit = config.PAYMENT_CHECK.TRANSACTION_LIMIT, params = {}) {
+    const response = await axios.get(`https://tonapi.io/v2/accounts/${config.TON_ADDRESS}/jettons/${config.USDT_CONTRACT_ADDRESS}/history`, {
+      headers: {
+        'Authorization': `Bearer ${config.TON_API_KEY}`
+      },
+      params: {
+        ...params,
+        limit
+      }
+    });
+
+    console.log(`📊 TON API jetton history response: ${response.status}`);
+    return response.data.events || [];
+  }
+
+  /**
+   * Fetch everything needed to verify a set of payment intents
+   * Only calls the endpoints required by the intents' currencies
+   * @param {Array<Object>} intents - Rows from payment_intents
+   * @returns {Promise<{transactions: Array<Object>, jettonEvents: Array<Object>}>}
+   */
+  async fetchPaymentData(intents) {
+    const needsTon = intents.some(intent => intent.currency !== 'USDT');
+    const needsUsdt = intents.some(intent => intent.currency === 'USDT');
+
+    return {
+      transactions: needsTon ? await this.fetchTransactions() : [],
+      jettonEvents: needsUsdt ? await this.fetchJettonEvents() : []
+    };
+  }
+
+  /**
+   * Extract the inbound USDT transfers of an account event
+   * @param {Object} event - TON API account event
+   * @returns {Array<{hash: string, lt: number, utime: number, value: number, comment: string}>}
+   */
+  getIncomingJettonTransfers(event) {
+    if (!event || !Array.isArray(event.actions)) return [];
+
+    return event.actions
+      .filter(action => action.type === 'JettonTransfer' && action.status === 'ok' && action.JettonTransfer)
+      .map(action => action.JettonTransfer)
+      .filter(transfer => {
+        // Only USDT sent to our wallet counts as a payment
+        const jettonAddress = transfer.jetton && transfer.jetton.address;
+        const recipient = transfer.recipient && transfer.recipient.address;
+        return this.isSameAddress(jettonAddress, config.USDT_CONTRACT_ADDRESS) &&
+          this.isSameAddress(recipient, config.TON_ADDRESS) &&
+          typeof transfer.comment === 'string';
+      })
+      .map(transfer => ({
+        hash: event.event_id,
+        lt: event.lt,
+        utime: event.timestamp,
+        value: Number(transfer.amount) || 0,
+        comment: transfer.comment
+      }));
+  }
+
+  /**
+   * Minimum amount accepted for a quoted amount
+   * @param {number} expectedAmount - Quoted amount in the currency's smallest unit
+   * @returns {number}
+   */
+  getMinimumAccepted(expectedAmount) {
+    const tolerance = config.PAYMENT_CHECK.AMOUNT_TOLERANCE_PERCENT / 100;
+    return Math.floor(Number(expectedAmount) * (1 - tolerance));
+  }
+
+  /**
+   * Add up the transfers matching an intent and compare them to the quoted amount
+   * Several transfers with the same comment are added up, so a user can top up an underpayment
+   * @param {Object} intent - Row from payment_intents
+   * @param {Array<Object>} transfers - Normalized inbound transfers
+   * @returns {{status: string, currency: string, transaction: Object|null, receivedAmount: number, expectedAmount: number, shortfallAmount: number}}
+   *   status is 'paid', 'underpaid' or 'not_found'; amounts are in the currency's smallest unit
+   */
+  matchTransfers(intent, transfers) {
+    const currency = intent.currency || 'TON';
+    const expectedAmount = Number(intent.amount_nano);
+    const matches = transfers.filter(transfer => transfer.comment === intent.reference);
+
+    if (matches.length === 0) {
+      return { status: 'not_found', currency, transaction: null, receivedAmount: 0, expectedAmount, shortfallAmount: expectedAmount };
+    }
+
+    const receivedAmount = matches.reduce((sum, transfer) => sum + transfer.value, 0);
+    const latest = matches.reduce((a, b) => (Number(b.lt) > Number(a.lt) ? b : a));
+    const paid = receivedAmount >= this.getMinimumAccepted(expectedAmount);
+
+    console.log(`💰 Reference ${intent.reference}: received ${receivedAmount} / expected ${expectedAmount} (${currency} smallest units)`);
+
+    return {
+      status: paid ? 'paid' : 'underpaid',
+      currency,
+      transaction: latest,
+      receivedAmount,
+      expectedAmount,
+      shortfallAmount: paid ? 0 : expectedAmount - receivedAmount
+    };
+  }
+
+  /**
+   * Check whether the TON quote of an intent had expired at a given time
+   * Intents without a quote window (USDT, or created before quotes were locked) never expire
+   * @param {Object} intent - Row from payment_intents
+   * @param {number} atSeconds - Unix time in seconds (defaults to now)
+   * @returns {boolean}
+   */
+  isQuoteExpired(intent, atSeconds = Date.now() / 1000) {
+    if (intent.currency === 'USDT' || !intent.quote_expires_at) return false;
+    return Number(atSeconds) * 1000 > new Date(intent.quote_expires_at).getTime();
+  }
+
+  /**
+   * Re-quote an intent whose TON quote expired, at the current rate
+   * The fresh quote is stored in the requoted_* columns (and on the given row);
+   * the original quote is kept for auditing
+   * @param {Object} intent - Row from payment_intents (needs price_amount, or usd_amount for older intents)
+   * @returns {Promise<Object|null>} The updated intent, or null if it cannot be re-quoted
+   * @throws {Error} If no TON price is available (the payment is judged on a later check)
+   */
+  async requoteIntent(intent) {
+    // Intents quoted before yen pricing only have a USD amount
+    const currency = intent.price_currency || 'USD';
+    const amount = intent.price_amount != null ? intent.price_amount : intent.usd_amount;
+    if (amount == null) return null;
+
+    const quote = await priceService.getTonQuote(amount, currency);
+    if (!quote) {
+      throw new Error(`No TON price available to re-quote ${intent.reference}`);
+    }
+    const amountNano = Math.floor(quote.tonAmount * config.TON_CONVERSIONS.NANO_TO_TON);
+    const expiresAt = new Date(Date.now() + config.PAYMENT_INTENT.QUOTE_EXPIRY_MINUTES * 60 * 1000);
+
+    await database.requotePaymentIntent(intent.reference, {
+      amountNano,
+      tonPrice: quote.price,
+      priceSource: quote.source,
+      expiresAt
+    });
+
+    return Object.assign(intent, {
+      requoted_amount_nano: amountNano,
+      requoted_ton_price: quote.price,
+      requoted_price_source: quote.source,
+      requoted_quote_expires_at: expiresAt.toISOString(),
+      requoted_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Enforce the quote window on a match result
+   * If the latest matching transfer was made after the original quote expired, the
+   * received amount is compared to the re-quote: the stored one while its window still
+   * covers the transfer, otherwise a fresh one
+   * @param {Object} intent - Row from payment_intents
+   * @param {Object} result - Result of matchTransfers()
+   * @returns {Promise<Object>} The result, re-evaluated if the quote had expired
+   */
+  async applyQuoteLock(intent, result) {
+    if (result.status === 'not_found' || !this.isQuoteExpired(intent, result.transaction.utime)) {
+      return result;
+    }
+
+    const transferredAt = Number(result.transaction.utime) * 1000;
+    let requoted = intent;
+    if (!intent.requoted_quote_expires_at || transferredAt > new Date(intent.requoted_quote_expires_at).getTime()) {
+      console.log(`⏰ Quote for ${intent.reference} expired at ${intent.quote_expires_at}, re-quoting`);
+      requoted = await this.requoteIntent(intent);
+      if (!requoted) return result;
+    }
+
+    const expectedAmount = Number(requoted.requoted_amount_nano);
+    const paid = result.receivedAmount >= this.getMinimumAccepted(expectedAmount);
+
+    console.log(`💰 Reference ${intent.reference}: received ${result.receivedAmount} / re-quoted ${expectedAmount} (${requoted.requoted_price_source})`);
+
+    return {
+      ...result,
+      status: paid ? 'paid' : 'underpaid',
+      expectedAmount,
+      shortfallAmount: paid ? 0 : expectedAmount - result.receivedAmount,
+      requoted: true
+    };
+  }
+
+  /**
+   * Verify a TON payment intent against a list of transactions
+   * @param {Object} intent - Row from payment_intents
+   * @param {Array<Object>} transactions - TON API transactions
+   * @returns {Object} See matchTransfers()
+   */
+  verifyTonPayment(intent, transactions) {
+    const transfers = transactions
+      .map(tx => this.getIncomingTransfer(tx))
+      .filter(Boolean);
+    return this.matchTransfers(intent, transfers);
+  }
+
+  /**
+   * Verify a USDT payment intent against jetton history events
+   * @param {Object} intent - Row from payment_intents
+   * @param {Array<Object>} events - TON API jetton history events
+   * @returns {Object} See matchTransfers()
+   */
+  verifyJettonPayment(intent, events) {
+    const transfers = events.flatMap(event => this.getIncomingJettonTransfers(event));
+    return this.matchTransfers(intent, transfers);
+  }
+
+  /**
+   * Verify a payment intent of any supported currency
+   * @param {Object} intent - Row from payment_intents
+   * @param {{transactions: Array<Object>, jettonEvents: Array<Object>}} data - Result of fetchPaymentData()
+   * @returns {Object} See matchTransfers()
+   */
+  verifyPayment(intent, data) {
+    if (intent.currency === 'USDT') {
+      return this.verifyJettonPayment(intent, data.jettonEvents);
+    }
+    return this.verifyTonPayment(intent, data.transactions);
+  }
+
+  /**
+   * Look for a confirmed payment among intents, retrying while the transaction settles
+   * Used by both the "I paid" button and the payment webhook
+   * @param {Array<Object>} intents - Rows from payment_intents (most recent first)
+   * @param {Object} options - attempts, initialDelayMs and retryDelayMs (defaults from PAYMENT_CHECK)
+   * @returns {Promise<{paid: {intent: Object, result: Object}|null, underpayment: Object|null}>}
+   * @throws {Error} The last TON API error if every attempt failed
+   */
+  async findPayment(intents, options = {}) {
+    const attempts = options.attempts || config.PAYMENT_CHECK.MAX_ATTEMPTS;
+    const initialDelayMs = options.initialDelayMs != null ? options.initialDelayMs : config.PAYMENT_CHECK.INITIAL_DELAY_MS;
+    const retryDelayMs = options.retryDelayMs != null ? options.retryDelayMs : config.PAYMENT_CHECK.RETRY_DELAY_MS;
+
+    let underpayment = null;
+    let lastError = null;
+    let anySuccess = false;
+
+    // Wait before first check (gives the transaction time to land)
+    await this.delay(initialDelayMs);
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        console.log(`🔍 Payment check attempt ${attempt}/${attempts}`);
+
+        const data = await this.fetchPaymentData(intents);
+        anySuccess = true;
+        console.log(`🔍 Searching ${data.transactions.length} transactions and ${data.jettonEvents.length} jetton events for payments...`);
+
+        for (const intent of intents) {
+          console.log(`🔍 Checking payment reference: ${intent.reference}`);
+
+          const result = await this.applyQuoteLock(intent, this.verifyPayment(intent, data));
+          if (result.status === 'paid') {
+            console.log(`✅ ${result.currency} Payment verified: ${intent.reference} (tx ${result.transaction.hash})`);
+            return { paid: { intent, result }, underpayment: null };
+          }
+
+          if (result.status === 'underpaid' && !underpayment) {
+            console.log(`⚠️ Underpayment for ${intent.reference}: short by ${result.shortfallAmount} ${result.currency} smallest units`);
+            underpayment = result;
+          }
+        }
+
+        console.log(`⏳ Payment not found on attempt ${attempt}`);
+      } catch (apiError) {
+        console.error(`❌ TON API Error on attempt ${attempt}:`, apiError.message);
+        lastError = apiError;
+      }
+
+      if (attempt < attempts) {
+        await this.delay(retryDelayMs);
+      }
+    }
+
+    if (!anySuccess && lastError) {
+      throw lastError;
+    }
+
+    return { paid: null, underpayment };
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new PaymentVerifier();
@@ -0,0 +1,197 @@
+const config = require('../config');
+const database = require('../database');
+const paymentVerifier = require('./paymentVerifier');
+
+const TON_CURSOR_KEY = 'payment_watcher_ton_cursor';
+const USDT_CURSOR_KEY = 'payment_watcher_usdt_cursor';
+
+/**
+ * Payment Watcher - Polls our wallet incrementally and matches inbound
+ * transfers against open payment intents, so payments are picked up even
+ * when the user never presses "✅ 支払い済み"
+ * Cursors ({ lt, hash }) are persisted in bot_state and only advanced after
+ * the transfers they cover have been recorded (the USDT cursor also carries a
+ * backfill resume point while a large gap is being read)
+ */
+class PaymentWatcher {
+  constructor() {
+    this.isPolling = false;
+  }
+
+  /**
+   * Poll new TON and USDT transfers and evaluate the intents they pay
+   * @returns {Promise<{paid: Array<{intent: Object, result: Object}>, underpaid: Array<{intent: Object, result: Object}>}>}
+   */
+  async poll() {
+    if (this.isPolling) {
+      console.log('⏳ Payment watcher already running, skipping this run');
+      return { paid: [], underpaid: [] };
+    }
+
+    this.isPolling = true;
+    try {
+      const ton = await this.collectTonTransfers();
+      const usdt = await this.collectJettonTransfers();
+
+      const outcome = await this.processTransfers([...ton.transfers, ...usdt.transfers]);
+
+      if (ton.cursor) await database.setState(TON_CURSOR_KEY, ton.cursor);
+      if (usdt.cursor) await database.setState(USDT_CURSOR_KEY, usdt.cursor);
+
+      return outcome;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Fetch TON transactions newer than the stored cursor (oldest first)
+   * Without a cursor the latest page is scanned so recent open intents are still found
+   * @returns {Promise<{transfers: Array<Object>, cursor: Object|null}>}
+   */
+  async collectTonTransfers() {
+    const { PAGE_LIMIT, MAX_PAGES } = config.PAYMENT_WATCHER;
+    let cursor = await database.getState(TON_CURSOR_KEY);
+    const transactions = [];
+
+    if (!cursor) {
+      const latest = await paymentVerifier.fetchTransactions(PAGE_LIMIT);
+      transactions.push(...latest.reverse());
+    } else {
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const after = transactions.length > 0 ? transactions[transactions.length - 1] : cursor;
+        const batch = await paymentVerifier.fetchTransactions(PAGE_LIMIT, { after_lt: after.lt, sort_order: 'asc' });
+        transactions.push(...batch);
+        if (batch.length < PAGE_LIMIT) break;
+      }
+    }
+
+    if (transactions.length > 0) {
+      const newest = transactions[transactions.length - 1];
+      cursor = { lt: newest.lt, hash: newest.hash };
+    }
+
+    const transfers = transactions
+      .map(tx => paymentVerifier.getIncomingTransfer(tx))
+      .filter(Boolean)
+      .map(transfer => ({ ...transfer, currency: 'TON' }));
+
+    console.log(`🔭 Payment watcher: ${transactions.length} new TON transactions, ${transfers.length} inbound transfers`);
+    return { transfers, cursor };
+  }
+
+  /**
+   * Fetch USDT jetton events newer than the stored cursor
+   * The history endpoint only pages backwards, so pages are read until the cursor is reached.
+   * When MAX_PAGES runs out first, the cursor stays put and a backfill resume point
+   * ({ beforeLt, newest }) is stored; the next run continues from beforeLt and the cursor
+   * only moves to newest once the gap down to the old cursor has been read
+   * @returns {Promise<{transfers: Array<Object>, cursor: Object|null}>}
+   */
+  async collectJettonTransfers() {
+    const { PAGE_LIMIT, MAX_PAGES } = config.PAYMENT_WATCHER;
+    const state = await database.getState(USDT_CURSOR_KEY);
+    const cursor = state ? { lt: state.lt, hash: state.hash } : null;
+    const backfill = state ? state.backfill : null;
+    const events = [];
+    let reachedCursor = !cursor;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const beforeLt = events.length > 0 ? events[events.length - 1].lt : backfill && backfill.beforeLt;
+      const params = beforeLt ? { before_lt: beforeLt } : {};
+      const batch = await paymentVerifier.fetchJettonEvents(PAGE_LIMIT, params);
+      const fresh = cursor ? batch.filter(event => Number(event.lt) > Number(cursor.lt)) : batch;
+      events.push(...fresh);
+
+      // Stop after the first page when starting fresh, or at the cursor or the end of history
+      if (!cursor) break;
+      if (fresh.length < batch.length || batch.length < PAGE_LIMIT) {
+        reachedCursor = true;
+        break;
+      }
+    }
+
+    // Newest event of the range being read: kept from the run that started a backfill
+    const newest = backfill
+      ? backfill.newest
+      : events.length > 0 ? { lt: events[0].lt, hash: events[0].event_id } : null;
+
+    let nextCursor;
+    if (reachedCursor) {
+      nextCursor = newest || cursor;
+    } else {
+      nextCursor = { ...cursor, backfill: { beforeLt: events[events.length - 1].lt, newest } };
+      console.warn(`⚠️ Payment watcher: USDT history not read down to the cursor after ${MAX_PAGES} pages, resuming before lt ${nextCursor.backfill.beforeLt} on the next run`);
+    }
+
+    const transfers = events
+      .reverse()
+      .flatMap(event => paymentVerifier.getIncomingJettonTransfers(event))
+      .map(transfer => ({ ...transfer, currency: 'USDT' }));
+
+    console.log(`🔭 Payment watcher: ${events.length} new USDT events, ${transfers.length} inbound transfers`);
+    return { transfers, cursor: nextCursor };
+  }
+
+  /**
+   * Record transfers that match open intents, then evaluate every pending intent
+   * with recorded transfers (so an activation that failed earlier is retried)
+   * Underpayments are only reported for intents that received a new transfer
+   * @param {Array<Object>} transfers - Normalized inbound transfers with currency
+   * @returns {Promise<{paid: Array<Object>, underpaid: Array<Object>}>}
+   */
+  async processTransfers(transfers) {
+    const touched = new Set();
+
+    for (const transfer of transfers) {
+      const intent = await database.getPaymentIntent(transfer.comment);
+      if (!intent || intent.status !== 'pending' || intent.currency !== transfer.currency) {
+        continue;
+      }
+
+      const isNew = await database.recordPaymentTransfer({
+        txHash: transfer.hash,
+        reference: intent.reference,
+        currency: transfer.currency,
+        amount: transfer.value,
+        lt: transfer.lt,
+        utime: transfer.utime
+      });
+
+      if (isNew) {
+        console.log(`💸 Payment watcher matched ${transfer.currency} transfer ${transfer.hash} to ${intent.reference}`);
+        touched.add(intent.reference);
+      }
+    }
+
+    const paid = [];
+    const underpaid = [];
+    for (const intent of await database.getPendingIntentsWithTransfers()) {
+      const recorded = await database.getPaymentTransfers(intent.reference);
+      let result;
+      try {
+        result = await paymentVerifier.applyQuoteLock(intent, paymentVerifier.matchTransfers(intent, recorded.map(row => ({
+          hash: row.tx_hash,
+          lt: row.lt,
+          utime: row.utime,
+          value: row.amount,
+          comment: row.reference
+        }))));
+      } catch (error) {
+        // e.g. no TON price to re-quote with - the intent is evaluated again on the next poll
+        console.error(`❌ Payment watcher could not evaluate ${intent.reference}:`, error.message);
+        continue;
+      }
+
+      if (result.status === 'paid') {
+        paid.push({ intent, result });
+      } else if (result.status === 'underpaid' && touched.has(intent.reference)) {
+        underpaid.push({ intent, result });
+      }
+    }
+
+    return { paid, underpaid };
+  }
+}
+
+module.exports = new PaymentWatcher();
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Price Providers - Sources of the TON price used by the price oracle
+ * Every provider has a name and fetchTonPrice(currency), which resolves with
+ * the price of 1 TON in the given fiat currency or throws if it is unavailable
+ */
+
+/**
+ * CoinGecko simple/price API (free, no API key required)
+ */
+class CoinGeckoProvider {
+  constructor() {
+    this.name = 'coingecko';
+  }
+
+  async fetchTonPrice(currency = 'USD') {
+    // TON coin ID in CoinGecko is "the-open-network"
+    const vsCurrency = currency.toLowerCase();
+    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: {
+        ids: 'the-open-network',
+        vs_currencies: vsCurrency
+      },
+      timeout: config.PRICE_ORACLE.TIMEOUT_MS
+    });
+
+    return response.data['the-open-network']?.[vsCurrency];
+  }
+}
+
+/**
+ * TON API rates endpoint (uses our TON Console API key)
+ */
+class TonApiRatesProvider {
+  constructor() {
+    this.name = 'tonapi';
+  }
+
+  async fetchTonPrice(currency = 'USD') {
+    const response = await axios.get('https://tonapi.io/v2/rates', {
+      headers: {
+        'Authorization': `Bearer ${config.TON_API_KEY}`
+      },
+      params: {
+        tokens: 'ton',
+        currencies: currency.toLowerCase()
+      },
+      timeout: config.PRICE_ORACLE.TIMEOUT_MS
+    });
+
+    return response.data.rates?.TON?.prices?.[currency.toUpperCase()];
+  }
+}
+
+/**
+ * Fixed prices set by hand (manual override, local testing)
+ */
+class StaticPriceProvider {
+  /**
+   * @param {Object<string, number>} prices - Price of 1 TON per fiat currency, e.g. { USD: 5.2 }
+   */
+  constructor(prices = {}) {
+    this.name = 'static';
+    this.prices = prices;
+  }
+
+  async fetchTonPrice(currency = 'USD') {
+    return this.prices[currency.toUpperCase()];
+  }
+}
+
+/**
+ * Build the providers listed in config.PRICE_ORACLE.PROVIDERS
+ * @returns {Array<Object>} Provider instances (unknown names are skipped)
+ */
+function createProviders() {
+  const factories = {
+    coingecko: () => new CoinGeckoProvider(),
+    tonapi: () => new TonApiRatesProvider(),
+    static: () => new StaticPriceProvider(config.PRICE_ORACLE.STATIC_PRICES)
+  };
+
+  return config.PRICE_ORACLE.PROVIDERS
+    .filter(name => {
+      if (factories[name]) return true;
+      console.warn(`⚠️ Unknown price provider "${name}" ignored`);
+      return false;
+    })
+    .map(name => factories[name]());
+}
+
+module.exports = {
+  CoinGeckoProvider,
+  TonApiRatesProvider,
+  StaticPriceProvider,
+  createProviders
+};
@@ -1,65 +1,199 @@
-const axios = require('axios');
+const config = require('../config');
+const { createProviders } = require('./priceProviders');
 
 /**
- * Price Service - Fetches real-time cryptocurrency prices
- * Uses CoinGecko API (free, no API key required)
- * Prices are cached for 1 hour to respect free tier rate limits
+ * Price Service - TON price oracle
+ * Asks every configured provider (CoinGecko, TON API rates, static override),
+ * drops outliers and uses the median. The aggregated price is cached briefly
+ * and, when every provider fails, reused only up to a maximum staleness -
+ * after that no price is returned rather than a guess
  */
 class PriceService {
   constructor() {
-    this.cache = {
-      price: null,
-      timestamp: 0,
-      cacheDuration: 3600000 // Cache for 1 hour (3600000ms) to respect free tier limits
-    };
+    this.providers = createProviders();
+    this.cache = {}; // Per fiat currency: { price, sources, timestamp }
+  }
+
+  /**
+   * Replace the price providers (e.g. with a StaticPriceProvider in tests)
+   * @param {Array<Object>} providers - Objects with name and fetchTonPrice(currency)
+   */
+  setProviders(providers) {
+    this.providers = providers;
+    this.cache = {};
   }
 
   /**
-   * Get TON price in USD from CoinGecko
-   * @returns {Promise<number>} Price in USD
+   * Get TON price in USD
+   * @returns {Promise<number|null>} Price in USD, or null if no fresh enough price is available
    */
   async getTonPriceUSD() {
-    try {
-      // Check cache first
-      const now = Date.now();
-      if (this.cache.price && (now - this.cache.timestamp) < this.cache.cacheDuration) {
-        console.log(`📊 Using cached TON price: $${this.cache.price}`);
-        return this.cache.price;
+    const quote = await this.getTonPriceQuote();
+    return quote ? quote.price : null;
+  }
+
+  /**
+   * Get TON price in a fiat currency together with where it came from
+   * @param {string} currency - Fiat currency code ('USD' or 'JPY')
+   * @returns {Promise<{price: number, source: string, sources: Array<string>}|null>}
+   *   source is 'live', 'cached' or 'stale' (older than the cache window but within the maximum staleness)
+   */
+  async getTonPriceQuote(currency = 'USD') {
+    const now = Date.now();
+    const cached = this.cache[currency];
+    const age = cached ? now - cached.timestamp : Infinity;
+
+    // Check cache first
+    if (cached && age < config.PRICE_ORACLE.CACHE_MS) {
+      console.log(`📊 Using cached TON price: ${cached.price} ${currency}`);
+      return { price: cached.price, source: 'cached', sources: cached.sources };
+    }
+
+    const aggregated = await this.fetchAggregatedPrice(currency);
+    if (aggregated) {
+      this.cache[currency] = { price: aggregated.price, sources: aggregated.sources, timestamp: now };
+      console.log(`📊 Fetched TON price: ${aggregated.price.toFixed(4)} ${currency} (${aggregated.sources.join(', ')})`);
+      return { price: aggregated.price, source: 'live', sources: aggregated.sources };
+    }
+
+    // Every provider failed - an older price is only acceptable up to the maximum staleness
+    if (cached && age < config.PRICE_ORACLE.MAX_STALENESS_MS) {
+      console.log(`📊 Using stale TON price: ${cached.price} ${currency} (${Math.round(age / 60000)} min old)`);
+      return { price: cached.price, source: 'stale', sources: cached.sources };
+    }
+
+    console.warn(`⚠️ No TON price in ${currency} available from any provider`);
+    return null;
+  }
+
+  /**
+   * Ask every provider and aggregate the answers
+   * @param {string} currency - Fiat currency code
+   * @returns {Promise<{price: number, sources: Array<string>}|null>} Median of the accepted prices
+   */
+  async fetchAggregatedPrice(currency) {
+    const results = await Promise.allSettled(
+      this.providers.map(provider => provider.fetchTonPrice(currency))
+    );
+
+    const samples = [];
+    results.forEach((result, index) => {
+      const name = this.providers[index].name;
+      const price = result.status === 'fulfilled' ? Number(result.value) : NaN;
+      if (Number.isFinite(price) && price > 0) {
+        samples.push({ name, price });
+      } else if (result.status === 'rejected') {
+        console.error(`❌ Error fetching TON price from ${name}:`, result.reason.message);
+      } else {
+        console.warn(`⚠️ ${name} returned no TON price`);
       }
+    });
+
+    if (samples.length === 0) return null;
 
-      // Fetch from CoinGecko
-      // TON coin ID in CoinGecko is "the-open-network"
-      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
-        params: {
-          ids: 'the-open-network',
-          vs_currencies: 'usd'
-        },
-        timeout: 5000 // 5 second timeout
-      });
-
-      const price = response.data['the-open-network']?.usd;
-      
-      if (!price) {
-        console.warn('⚠️ Could not fetch TON price from CoinGecko');
-        return null;
+    // Drop sources that disagree with the median, then take the median of the rest
+    const median = this.median(samples.map(sample => sample.price));
+    const maxDeviation = config.PRICE_ORACLE.OUTLIER_PERCENT / 100;
+    const accepted = samples.filter(sample => {
+      const deviation = Math.abs(sample.price - median) / median;
+      if (deviation > maxDeviation) {
+        console.warn(`⚠️ Rejected TON price outlier from ${sample.name}: ${sample.price} (median ${median})`);
+        return false;
       }
+      return true;
+    });
 
-      // Update cache
-      this.cache.price = price;
-      this.cache.timestamp = now;
+    if (accepted.length === 0) return null;
 
-      console.log(`📊 Fetched TON price: $${price.toFixed(2)}`);
-      return price;
+    return {
+      price: this.median(accepted.map(sample => sample.price)),
+      sources: accepted.map(sample => sample.name)
+    };
+  }
 
-    } catch (error) {
-      console.error('❌ Error fetching TON price:', error.message);
-      // Return cached price if available, even if expired
-      if (this.cache.price) {
-        console.log(`📊 Using expired cached TON price: $${this.cache.price}`);
-        return this.cache.price;
-      }
-      return null;
-    }
+  /**
+   * Median of a non-empty list of numbers
+   * @param {Array<number>} values
+   * @returns {number}
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Quote the TON amount for a fiat price
+   * @param {number} amount - Price in the fiat currency
+   * @param {string} currency - Fiat currency code ('USD' or 'JPY')
+   * @returns {Promise<{tonAmount: number, price: number, source: string}|null>} null if no price is available
+   */
+  async getTonQuote(amount, currency = 'USD') {
+    const quote = await this.getTonPriceQuote(currency);
+    if (!quote) return null;
+
+    return {
+      tonAmount: amount / quote.price,
+      price: quote.price,
+      source: quote.source
+    };
+  }
+
+  /**
+   * Convert between fiat currencies using the TON cross rate
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {Promise<{amount: number, source: string}|null>} null if either rate is unavailable
+   */
+  async convertFiat(amount, from, to) {
+    if (from === to) return { amount, source: 'fixed' };
+
+    const fromQuote = await this.getTonPriceQuote(from);
+    const toQuote = fromQuote ? await this.getTonPriceQuote(to) : null;
+    if (!fromQuote || !toQuote) return null;
+
+    return {
+      amount: amount / fromQuote.price * toQuote.price,
+      source: this.worstSource([fromQuote.source, toQuote.source])
+    };
+  }
+
+  /**
+   * Least fresh of several price sources (stale > cached > live > fixed)
+   * @param {Array<string>} sources
+   * @returns {string}
+   */
+  worstSource(sources) {
+    const order = ['fixed', 'live', 'cached', 'stale'];
+    return sources.reduce((worst, source) => (order.indexOf(source) > order.indexOf(worst) ? source : worst), 'fixed');
+  }
+
+  /**
+   * Quote a subscription plan in TON and USDT, with its yen equivalent for display
+   * TON is derived from the rate in the plan's own currency; USDT is the USD price
+   * (converted from JPY for yen plans)
+   * @param {{price: number, currency: string}} plan - Entry of config.SUBSCRIPTION_PLANS
+   * @returns {Promise<Object|null>} { tonAmount, tonPrice, tonSource, usdtAmount, usdtSource, jpyAmount }, or null if it cannot be priced
+   */
+  async quotePlan(plan) {
+    const ton = await this.getTonQuote(plan.price, plan.currency);
+    const usdt = ton ? await this.convertFiat(plan.price, plan.currency, 'USD') : null;
+    if (!ton || !usdt) return null;
+
+    // The yen amount is only for display, so a missing JPY rate is not fatal
+    const jpy = await this.convertFiat(plan.price, plan.currency, 'JPY');
+
+    return {
+      tonAmount: ton.tonAmount,
+      tonPrice: ton.price,
+      tonSource: ton.source,
+      usdtAmount: Math.round(usdt.amount * 100) / 100,
+      usdtSource: usdt.source,
+      jpyAmount: jpy ? Math.round(jpy.amount) : null
+    };
   }
 
   /**
@@ -96,14 +230,24 @@ class PriceService {
   }
 
   /**
-   * Format price message with real-time USD conversion
-   * @param {number} tonAmount - Amount in TON
-   * @param {number} usdtAmount - Amount in USDT (defaults to 1.0)
+   * Format a yen amount for display (e.g. "約150円")
+   * @param {number|null} jpyAmount - Amount in JPY
+   * @returns {string} Empty string if the amount is unknown
+   */
+  formatYen(jpyAmount) {
+    return jpyAmount != null ? `約${Math.round(jpyAmount).toLocaleString('ja-JP')}円` : '';
+  }
+
+  /**
+   * Format price message with the yen price and both crypto amounts
+   * @param {Object} planQuote - Result of quotePlan()
    * @returns {Promise<string>} Formatted message
    */
-  async formatPriceMessage(tonAmount, usdtAmount = 1.0) {
-    // Both are $1 USD equivalent
-    return `💰 Cost: ${tonAmount.toFixed(4)} TON (≈ $1.00) or ${usdtAmount} USDT`;
+  async formatPriceMessage(planQuote) {
+    const crypto = `${planQuote.tonAmount.toFixed(4)} TON または ${planQuote.usdtAmount.toFixed(2)} USDT`;
+    return planQuote.jpyAmount != null
+      ? `💰 料金: ${this.formatYen(planQuote.jpyAmount)}（${crypto}）`
+      : `💰 料金: ${crypto}`;
   }
 }
 
@@ -0,0 +1,149 @@
+/**
+ * Quiz Service - Multiple-choice questions built from stored lesson sentences
+ * Question types: pick the Japanese translation, fill in a missing word, or
+ * pick the correct order of shuffled words. Distractors come from other sentences
+ */
+class QuizService {
+  constructor() {
+    this.optionCount = 4;
+    this.labels = ['A', 'B', 'C', 'D'];
+  }
+
+  /**
+   * Build a quiz for a sentence, choosing a random question type that the
+   * sentence and the available distractors can support
+   * @param {Object} sentence - Row from sentences
+   * @param {Array<Object>} others - Other sentences to draw distractors from
+   * @returns {{type: string, prompt: string, options: Array<string>, answerIndex: number}|null}
+   */
+  buildQuiz(sentence, others) {
+    const builders = this.shuffle([
+      () => this.buildTranslationQuiz(sentence, others),
+      () => this.buildFillBlankQuiz(sentence, others),
+      () => this.buildReorderQuiz(sentence)
+    ]);
+
+    for (const build of builders) {
+      const quiz = build();
+      if (quiz) return quiz;
+    }
+    return null;
+  }
+
+  // Pick the Japanese translation of the sentence
+  buildTranslationQuiz(sentence, others) {
+    if (!sentence.japanese_translation) return null;
+    const distractors = this.unique(
+      others.map(other => other.japanese_translation).filter(Boolean),
+      [sentence.japanese_translation]
+    );
+    if (distractors.length === 0) return null;
+
+    return this.withOptions(
+      'translation',
+      `🧩 正しい日本語訳を選んでください\n\n📝 ${sentence.english_text}`,
+      sentence.japanese_translation,
+      distractors
+    );
+  }
+
+  // Blank out one word of the sentence; wrong choices are words from other sentences
+  buildFillBlankQuiz(sentence, others) {
+    const tokens = sentence.english_text.split(/\s+/).filter(Boolean);
+    const candidates = tokens
+      .map((token, index) => ({ index, word: this.stripPunctuation(token) }))
+      .filter(({ word }) => /^[A-Za-z'-]{3,}$/.test(word));
+    if (tokens.length < 2 || candidates.length === 0) return null;
+
+    const { index, word } = this.pick(candidates);
+    const otherWords = others
+      .flatMap(other => (other.english_text || '').split(/\s+/))
+      .map(token => this.stripPunctuation(token))
+      .filter(other => /^[A-Za-z'-]{3,}$/.test(other));
+    // Capitalization would give the answer away, so distractors follow the answer's
+    const matchCase = other => (/^[A-Z]/.test(word) ? other[0].toUpperCase() : other[0].toLowerCase()) + other.slice(1);
+    const distractors = this.unique(otherWords.filter(other => other !== 'I').map(matchCase), [word]);
+    if (distractors.length === 0) return null;
+
+    const blanked = tokens.map((token, i) => (i === index ? token.replace(word, '＿＿＿') : token)).join(' ');
+    const translation = sentence.japanese_translation ? `\n🔤 ${sentence.japanese_translation}` : '';
+    return this.withOptions(
+      'fill_blank',
+      `🧩 空欄に入る単語を選んでください\n\n📝 ${blanked}${translation}`,
+      word,
+      distractors
+    );
+  }
+
+  // Pick the correct order of the shuffled words; wrong choices are other orders
+  buildReorderQuiz(sentence) {
+    const words = sentence.english_text.split(/\s+/).map(token => this.stripPunctuation(token)).filter(Boolean);
+    if (words.length < 3 || words.length > 10) return null;
+
+    const answer = words.join(' ');
+    const orders = new Set();
+    for (let attempt = 0; attempt < 50 && orders.size < this.optionCount - 1; attempt++) {
+      const order = this.shuffle(words).join(' ');
+      if (order !== answer) orders.add(order);
+    }
+    if (orders.size === 0) return null;
+
+    const translation = sentence.japanese_translation ? `\n🔤 ${sentence.japanese_translation}` : '';
+    return this.withOptions(
+      'reorder',
+      `🧩 正しい語順を選んでください\n\n🔀 ${this.shuffle(words).join(' / ')}${translation}`,
+      answer,
+      [...orders]
+    );
+  }
+
+  // Mix the answer into up to optionCount - 1 distractors
+  withOptions(type, prompt, answer, distractors) {
+    const options = this.shuffle([answer, ...this.shuffle(distractors).slice(0, this.optionCount - 1)]);
+    return { type, prompt, options, answerIndex: options.indexOf(answer) };
+  }
+
+  /**
+   * Question text with the options listed under labels (buttons only show the label)
+   * @param {{prompt: string, options: Array<string>}} quiz
+   * @returns {string}
+   */
+  formatQuestion(quiz) {
+    const options = quiz.options.map((option, index) => `${this.labels[index]}. ${option}`).join('\n');
+    return `${quiz.prompt}\n\n${options}`;
+  }
+
+  stripPunctuation(token) {
+    return token.replace(/^[^A-Za-z0-9']+|[^A-Za-z0-9']+$/g, '');
+  }
+
+  // Values without duplicates (case-insensitive) and without any of the excluded values
+  unique(values, excluded) {
+    const seen = new Set(excluded.map(value => value.toLowerCase()));
+    const result = [];
+    for (const value of values) {
+      const key = value.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(value);
+      }
+    }
+    return result;
+  }
+
+  pick(values) {
+    return values[Math.floor(Math.random() * values.length)];
+  }
+
+  // Fisher-Yates on a copy
+  shuffle(values) {
+    const result = [...values];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+module.exports = new QuizService();
@@ -0,0 +1,96 @@
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Spaced Repetition - Vocabulary cards from lesson word breakdowns, scheduled with SM-2
+ * Flashcards are answered 覚えた / まだ, mapped to SM-2 qualities from config.REVIEW
+ */
+class SpacedRepetition {
+  /**
+   * Vocabulary entries of a lesson's word breakdown
+   * Plain-string entries carry no meaning to quiz on and are skipped
+   * @param {Array<Object|string>|string} wordBreakdown - Parsed array or the stored JSON
+   * @returns {Array<{word: string, wordKey: string, meaning: string, pronunciation: string}>}
+   */
+  extractVocabulary(wordBreakdown) {
+    let entries = wordBreakdown;
+    if (typeof entries === 'string') {
+      try {
+        entries = JSON.parse(entries);
+      } catch (error) {
+        return [];
+      }
+    }
+    if (!Array.isArray(entries)) return [];
+
+    const vocabulary = new Map();
+    for (const entry of entries) {
+      if (!entry || typeof entry !== 'object' || !entry.word || !entry.meaning) continue;
+      const word = entry.word.toString().trim();
+      const wordKey = word.toLowerCase();
+      if (!wordKey || vocabulary.has(wordKey)) continue;
+      vocabulary.set(wordKey, {
+        word,
+        wordKey,
+        meaning: entry.meaning.toString().trim(),
+        pronunciation: (entry.pinyin || '').toString().trim()
+      });
+    }
+    return [...vocabulary.values()];
+  }
+
+  /**
+   * Due date of a card that was just added to a deck
+   * @param {Date} now - Time the lesson was delivered
+   * @returns {Date}
+   */
+  firstDueAt(now = new Date()) {
+    return new Date(now.getTime() + config.REVIEW.FIRST_REVIEW_DAYS * DAY_MS);
+  }
+
+  /**
+   * Apply one review to a card (SM-2)
+   * Quality below 3 starts the card over with a one-day interval; otherwise the
+   * interval grows 1 → 6 → interval × ease factor. The ease factor moves with
+   * the quality and never drops below MIN_EASE_FACTOR
+   * @param {Object} card - Row from vocab_cards
+   * @param {boolean} remembered - 覚えた (true) or まだ (false)
+   * @param {Date} now - Review time
+   * @returns {{easeFactor: number, intervalDays: number, repetitions: number, dueAt: Date, quality: number}}
+   */
+  review(card, remembered, now = new Date()) {
+    const quality = remembered ? config.REVIEW.REMEMBERED_QUALITY : config.REVIEW.FORGOTTEN_QUALITY;
+    let repetitions = card.repetitions || 0;
+    let intervalDays;
+
+    if (quality < 3) {
+      repetitions = 0;
+      intervalDays = 1;
+    } else {
+      if (repetitions === 0) {
+        intervalDays = 1;
+      } else if (repetitions === 1) {
+        intervalDays = 6;
+      } else {
+        intervalDays = Math.round(card.interval_days * card.ease_factor);
+      }
+      repetitions++;
+    }
+
+    const easeFactor = Math.max(
+      config.REVIEW.MIN_EASE_FACTOR,
+      card.ease_factor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      intervalDays,
+      repetitions,
+      dueAt: new Date(now.getTime() + intervalDays * DAY_MS),
+      quality
+    };
+  }
+}
+
+module.exports = new SpacedRepetition();
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * WebApp Auth - Validates Telegram Mini App initData
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+class WebAppAuth {
+  /**
+   * Validate initData signed by Telegram with our bot token
+   * @param {string} initData - Raw Telegram.WebApp.initData query string
+   * @param {string} botToken - Telegram bot token (defaults to config)
+   * @returns {{user: Object, authDate: number}|null} Parsed data, or null if invalid or expired
+   */
+  validateInitData(initData, botToken = config.TELEGRAM_BOT_TOKEN) {
+    if (!initData || typeof initData !== 'string' || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return null;
+    params.delete('hash');
+
+    // data_check_string: sorted key=value pairs joined by newlines
+    const dataCheckString = [...params.entries()]
+      .map(([key, value]) => `${key}=${value}`)
+      .sort()
+      .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    if (!crypto.timingSafeEqual(Buffer.from(expectedHash, 'hex'), Buffer.from(hash.toLowerCase(), 'hex'))) {
+      console.warn('⚠️ WebApp initData hash mismatch');
+      return null;
+    }
+
+    const authDate = parseInt(params.get('auth_date'), 10);
+    const ageSeconds = Math.floor(Date.now() / 1000) - authDate;
+    if (!authDate || ageSeconds > config.WEBAPP_AUTH_MAX_AGE_SECONDS) {
+      console.warn(`⚠️ WebApp initData expired (age ${ageSeconds}s)`);
+      return null;
+    }
+
+    let user = null;
+    try {
+      user = JSON.parse(params.get('user'));
+    } catch (error) {
+      return null;
+    }
+    if (!user || !user.id) return null;
+
+    return { user, authDate };
+  }
+}
+
+module.exports = new WebAppAuth();
@@ -1,9 +1,21 @@
 const TelegramBot = require('node-telegram-bot-api');
-const axios = require('axios');
 const database = require('./database');
 const config = require('./config');
 const deepseekService = require('./services/deepseek');
 const priceService = require('./services/priceService');
+const gradingService = require('./services/gradingService');
+const paymentVerifier = require('./services/paymentVerifier');
+const deliveryTime = require('./services/deliveryTime');
+const spacedRepetition = require('./services/spacedRepetition');
+const quizService = require('./services/quizService');
+const learningStats = require('./services/learningStats');
+
+// Adaptive difficulty modes (users.auto_level) and their labels
+const AUTO_LEVEL_MODES = {
+  off: 'オフ（手動で選ぶ）',
+  suggest: '提案のみ（変更前に確認）',
+  auto: '自動（変更後に取り消し可能）'
+};
 
 class TelegramBotHandler {
   constructor(options = {}) {
@@ -13,21 +25,25 @@ class TelegramBotHandler {
       console.log('🔑 Bot token length:', config.TELEGRAM_BOT_TOKEN ? config.TELEGRAM_BOT_TOKEN.length : 0);
       
       // Allow disabling polling for testing
-      const polling = options.polling !== false;
-      console.log('📡 Polling enabled:', polling);
+      this.polling = options.polling !== false;
+      console.log('📡 Polling enabled:', this.polling);
       
-      this.bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, { polling });
+      // Polling starts in start(), once the database is ready for the first update
+      this.bot = new TelegramBot(config.TELEGRAM_BOT_TOKEN, { polling: false });
       
       // Add deduplication tracking
       this.processedCallbacks = new Set();
       this.processedMessages = new Set();
       
-      // Payment tracking
-      this.pendingPayments = new Map();
+      // Payment tracking (pending payments live in the payment_intents table;
+      // this set only guards against concurrent checks for the same user)
       this.checkingPayments = new Set();
       
+      // Update handlers in progress, awaited on shutdown before the database closes
+      this.runningHandlers = new Set();
+      
       this.setupEventHandlers();
-      console.log('🤖 English Learning Bot started successfully');
+      console.log('🤖 English Learning Bot initialized');
     } catch (error) {
       console.error('❌ Failed to initialize bot:', error);
       console.error('❌ Error details:', error.message);
@@ -36,6 +52,31 @@ class TelegramBotHandler {
     }
   }
 
+  // Start receiving updates from Telegram
+  async start() {
+    if (!this.polling) return;
+    await this.bot.startPolling();
+    console.log('🤖 English Learning Bot started successfully');
+  }
+
+  // Run an update handler, tracking it so stop() can wait for it
+  runHandler(handler) {
+    const run = Promise.resolve().then(handler).finally(() => this.runningHandlers.delete(run));
+    this.runningHandlers.add(run);
+    return run;
+  }
+
+  // Stop receiving updates and wait for the handlers in progress, payment checks included (shutdown)
+  async stop() {
+    if (this.polling) {
+      await this.bot.stopPolling({ cancel: true });
+    }
+    await Promise.allSettled([...this.runningHandlers]);
+    while (this.checkingPayments.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
   // Sanitize pronunciation to only use katakana (カタカナ)
   sanitizePronunciation(text) {
     if (!text) return '';
@@ -43,6 +84,37 @@ class TelegramBotHandler {
     return text.toString().replace(/[^\u30A0-\u30FF\s\-ー]/g, '').trim();
   }
 
+  /**
+   * Format a date for users in Japanese (e.g. 2025年1月31日)
+   * @param {string|Date} date - Date or ISO string
+   * @returns {string} Formatted date in the bot timezone
+   */
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('ja-JP', {
+      timeZone: config.TIMEZONE,
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  // Describe when a user's daily lesson is sent, e.g. "9:00（日本時間）"
+  formatDeliverySchedule(user) {
+    const time = (user && user.delivery_time) || config.DELIVERY.DEFAULT_TIME;
+    const timezone = (user && user.timezone) || config.DELIVERY.DEFAULT_TIMEZONE;
+    const option = config.DELIVERY.TIMEZONE_OPTIONS.find(tz => tz.id === timezone);
+    return `${time.replace(/^0/, '')}（${option ? option.name : timezone}）`;
+  }
+
+  // Format a time of day in the bot's timezone (e.g. "14:30")
+  formatTime(date) {
+    return new Date(date).toLocaleTimeString('ja-JP', {
+      timeZone: config.TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
   /**
    * Helper function to create inline keyboard
    * @param {Array<Array<Object>>} buttons - Array of button rows
@@ -72,7 +144,7 @@ class TelegramBotHandler {
       this.processedCallbacks.add(callbackId);
       console.log(`🔘 Callback query received: ${callbackQuery.data} from user ${callbackQuery.from.id}`);
       
-      this.handleCallbackQuery(callbackQuery).catch(error => {
+      this.runHandler(() => this.handleCallbackQuery(callbackQuery)).catch(error => {
         console.error('❌ Error in callback query handler:', error);
         console.error('❌ Callback data:', callbackQuery.data);
         console.error('❌ User ID:', callbackQuery.from.id);
@@ -84,10 +156,22 @@ class TelegramBotHandler {
     // Note: TON payments use deep links, not Telegram Payments API
     
     // Handle /start command
-    this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
+    this.bot.onText(/\/start/, (msg) => this.runHandler(() => this.handleStart(msg)));
     
     // Handle /help command
-    this.bot.onText(/\/help/, (msg) => this.handleHelp(msg.chat.id));
+    this.bot.onText(/\/help/, (msg) => this.runHandler(() => this.handleHelp(msg.chat.id)));
+    
+    // Handle /status command
+    this.bot.onText(/\/status/, (msg) => this.runHandler(() => this.handleStatus(msg.chat.id, msg.from.id)));
+    
+    // Handle /today command
+    this.bot.onText(/\/today/, (msg) => this.runHandler(() => this.handleToday(msg.chat.id, msg.from.id)));
+    
+    // Handle /review command
+    this.bot.onText(/\/review/, (msg) => this.runHandler(() => this.handleReview(msg.chat.id, msg.from.id)));
+    
+    // Handle /quiz command
+    this.bot.onText(/\/quiz/, (msg) => this.runHandler(() => this.handleQuiz(msg.chat.id, msg.from.id)));
     
     
     // Handle text messages (user responses to sentences) - ONLY for non-command messages
@@ -113,7 +197,7 @@ class TelegramBotHandler {
         }
         
         this.processedMessages.add(messageId);
-        this.handleMessage(msg);
+        this.runHandler(() => this.handleMessage(msg));
       }
     });
   }
@@ -134,14 +218,14 @@ class TelegramBotHandler {
         ],
         [
           { text: '💳 購読する', callback_data: 'subscribe' },
-          { text: '⚙️ 難易度', callback_data: 'settings' }
+          { text: '⚙️ 設定', callback_data: 'settings' }
         ]
       ]);
 
       const welcomeMessage = `🇬🇧 英語学習ボットへようこそ！
 
 📖 毎日の英語の文章を受け取って、語学力を向上させましょう！
-💰 TON暗号通貨で30日間のレッスンを購読できます。
+💰 TONまたはUSDTで7日間から1年間までのプランを購読できます。
 
 🎯 難易度を選択して学習を始めましょう！`;
 
@@ -152,14 +236,46 @@ class TelegramBotHandler {
     }
   }
 
+  // Price of a plan in its own currency, e.g. "150円" or "$1.00"
+  formatPlanPrice(plan) {
+    return plan.currency === 'JPY'
+      ? `${plan.price.toLocaleString('ja-JP')}円`
+      : `$${plan.price.toFixed(2)}`;
+  }
+
+  // Price of a plan with its crypto amounts, e.g. "約150円（0.2000 TON / 1.00 USDT）"
+  formatPlanQuote(plan, planQuote) {
+    if (!planQuote) {
+      return `${this.formatPlanPrice(plan)}（TON/USDT価格取得中）`;
+    }
+    const fiat = planQuote.jpyAmount != null ? priceService.formatYen(planQuote.jpyAmount) : this.formatPlanPrice(plan);
+    return `${fiat}（${planQuote.tonAmount.toFixed(4)} TON / ${planQuote.usdtAmount.toFixed(2)} USDT）`;
+  }
+
+  // One line per plan, e.g. "• 1ヶ月（30日間）: 約150円（0.2000 TON / 1.00 USDT）"
+  async formatPlanList() {
+    const lines = [];
+    for (const planId of Object.keys(config.SUBSCRIPTION_PLANS)) {
+      const plan = this.getPlan(planId);
+      const planQuote = await priceService.quotePlan(plan);
+      lines.push(`• ${plan.name}（${plan.days}日間）: ${this.formatPlanQuote(plan, planQuote)}`);
+    }
+    return lines.join('\n');
+  }
+
   async handleHelp(chatId) {
     const helpMessage = `🇬🇧 英語学習ボット ヘルプ
 
 📖 使い方:
-• 毎日9時に英語の文章を受信します（日本時間）
+• 毎日お好きな時刻に英語の文章を受信します（初期設定: 日本時間9時、⚙️ 設定で変更できます）
 • 本物の英語コンテンツで練習できます
+• 英語の文章をタイプすると採点されます
+• /today で今日のレッスンをもう一度受け取れます
+• /review でレッスンの単語をフラッシュカードで復習できます
+• /quiz で過去のレッスンから4択クイズに挑戦できます
 
-💰 購読: 30日間で$1 USD
+💰 購読プラン:
+${await this.formatPlanList()}
 🎯 難易度: 5レベル（初級から上級まで）
 
 🎮 下のボタンでナビゲートできます！`;
@@ -191,7 +307,7 @@ class TelegramBotHandler {
           await this.handleStatus(chatId, userId);
           break;
         case 'subscribe':
-          await this.handleSubscribe(chatId, userId);
+          await this.handleChoosePlan(chatId, userId);
           break;
         case 'settings':
           await this.handleSettings(chatId, userId);
@@ -202,10 +318,53 @@ class TelegramBotHandler {
         case 'unsubscribe':
           await this.handleUnsubscribe(chatId, userId);
           break;
+        case 'delivery_time':
+          await this.handleChooseDeliveryTime(chatId, userId);
+          break;
+        case 'timezone':
+          await this.handleChooseTimezone(chatId, userId);
+          break;
+        case 'auto_level':
+          await this.handleChooseAutoLevel(chatId, userId);
+          break;
+        case 'review':
+          await this.handleReview(chatId, userId);
+          break;
+        case 'quiz':
+          await this.handleQuiz(chatId, userId);
+          break;
         default:
-          if (data.startsWith('level_')) {
+          if (data.startsWith('level_undo_')) {
+            await this.handleUndoLevelChange(chatId, userId, parseInt(data.substring('level_undo_'.length), 10));
+          } else if (data.startsWith('level_accept_') || data.startsWith('level_decline_')) {
+            const accepted = data.startsWith('level_accept_');
+            const changeId = parseInt(data.substring(accepted ? 'level_accept_'.length : 'level_decline_'.length), 10);
+            await this.handleLevelSuggestion(chatId, userId, changeId, accepted);
+          } else if (data.startsWith('level_')) {
             const level = parseInt(data.split('_')[1]);
             await this.handleSetLevel(chatId, userId, level);
+          } else if (data.startsWith('autolevel_')) {
+            await this.handleSetAutoLevel(chatId, userId, data.substring('autolevel_'.length));
+          } else if (data.startsWith('time_')) {
+            await this.handleSetDelivery(chatId, userId, { deliveryTime: data.substring('time_'.length) });
+          } else if (data.startsWith('tz_')) {
+            await this.handleSetDelivery(chatId, userId, { timezone: data.substring('tz_'.length) });
+          } else if (data.startsWith('plan_')) {
+            const planId = data.substring('plan_'.length);
+            if (config.SUBSCRIPTION_PLANS[planId]) {
+              await this.handleSubscribe(chatId, userId, planId);
+            } else {
+              await this.handleChoosePlan(chatId, userId);
+            }
+          } else if (data.startsWith('review_show_')) {
+            await this.handleShowCard(chatId, userId, parseInt(data.substring('review_show_'.length), 10));
+          } else if (data.startsWith('review_ok_') || data.startsWith('review_again_')) {
+            const remembered = data.startsWith('review_ok_');
+            const cardId = parseInt(data.substring(remembered ? 'review_ok_'.length : 'review_again_'.length), 10);
+            await this.handleReviewAnswer(chatId, userId, cardId, remembered);
+          } else if (data.startsWith('quiz_')) {
+            const [quizId, optionIndex] = data.substring('quiz_'.length).split('_').map(part => parseInt(part, 10));
+            await this.handleQuizAnswer(chatId, userId, quizId, optionIndex);
           } else if (data.startsWith('check_payment_')) {
             const targetUserId = data.split('_')[2];
             await this.handleCheckPayment(chatId, targetUserId);
@@ -238,19 +397,35 @@ class TelegramBotHandler {
       let statusMessage = `📊 購読ステータス\n\n`;
       
       if (subscription) {
+        // expires_at of the latest subscription is the paid-through date (renewals are stacked)
         const expiresAt = new Date(subscription.expires_at);
         const daysLeft = Math.ceil((expiresAt - new Date()) / (1000 * 60 * 60 * 24));
         statusMessage += `✅ 有効（残り${daysLeft}日）\n`;
+        statusMessage += `📅 ${this.formatDate(expiresAt)}までお支払い済み\n`;
       } else {
         statusMessage += `❌ アクティブな購読がありません\n`;
       }
       
+      // Price of the default plan, for renewing or subscribing
+      const defaultPlan = this.getPlan(config.DEFAULT_PLAN);
+      const defaultQuote = await priceService.quotePlan(defaultPlan);
+      statusMessage += `💰 ${defaultPlan.name}プラン: ${this.formatPlanQuote(defaultPlan, defaultQuote)}\n`;
+      
       statusMessage += `現在のレベル: ${user.difficulty_level} (${levelName})\n\n`;
-      statusMessage += `毎日のレッスンは日本時間9時に送信されます。`;
+      statusMessage += `毎日のレッスンは${this.formatDeliverySchedule(user)}に送信されます。`;
+
+      // Stats are extra: the subscription and level info is sent even if they fail
+      try {
+        const stats = await learningStats.getStats(user);
+        statusMessage += `\n\n${learningStats.formatStats(stats)}`;
+      } catch (error) {
+        console.error(`❌ Error loading learning stats for user ${userId}:`, error);
+      }
 
       // Create keyboard based on subscription status
       const keyboard = subscription && subscription.status === 'active'
         ? this.createKeyboard([
+            [{ text: '🔄 購読を更新', callback_data: 'subscribe' }],
             [{ text: '🚫 購読を解除', callback_data: 'unsubscribe' }],
             [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
           ])
@@ -265,81 +440,149 @@ class TelegramBotHandler {
     }
   }
 
-  async handleSubscribe(chatId, userId) {
+  // Get a subscription plan from the catalog (falls back to the default plan)
+  getPlan(planId) {
+    const id = config.SUBSCRIPTION_PLANS[planId] ? planId : config.DEFAULT_PLAN;
+    return { id, ...config.SUBSCRIPTION_PLANS[id] };
+  }
+
+  // Show the plan picker (entry point of the subscribe flow)
+  async handleChoosePlan(chatId, userId) {
     try {
-      console.log(`💎 Starting subscription process for user ${userId}`);
+      console.log(`💎 Showing subscription plans to user ${userId}`);
       
-      // Check if user already has active subscription
+      // Renewals are allowed at any time - the new period is added to the current one
       const existingSubscription = await database.getActiveSubscription(userId.toString());
+      
+      let message = `💎 英語学習ボットを購読する\n\n📋 プランを選択してください:\n${await this.formatPlanList()}\n`;
+      const buttons = Object.keys(config.SUBSCRIPTION_PLANS)
+        .map(planId => this.getPlan(planId))
+        .map(plan => [{ text: `📅 ${plan.name}（${plan.days}日間） ${this.formatPlanPrice(plan)}`, callback_data: `plan_${plan.id}` }]);
+      
       if (existingSubscription) {
-        console.log(`⚠️ User ${userId} already has active subscription`);
-        await this.bot.sendMessage(chatId, '✅ すでにアクティブな購読があります！');
-        return;
+        message += `\n🔄 現在の購読は${this.formatDate(existingSubscription.expires_at)}まで有効です。お支払い後、その日から期間が延長されます。`;
       }
       
-      // Calculate TON amount for $1 USD
-      let tonAmountForUSD = await priceService.getTonAmountForUSD(1.0);
+      buttons.push([{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]);
+      
+      await this.bot.sendMessage(chatId, message, this.createKeyboard(buttons));
+    } catch (error) {
+      console.error('❌ Error in handleChoosePlan:', error);
+      await this.bot.sendMessage(chatId, '❌ お支払い中に問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  async handleSubscribe(chatId, userId, planId) {
+    try {
+      const plan = this.getPlan(planId);
+      console.log(`💎 Starting subscription process for user ${userId} (plan ${plan.id})`);
+      
+      // Renewals are allowed at any time - the new period is added to the current one
+      const existingSubscription = await database.getActiveSubscription(userId.toString());
+      if (existingSubscription) {
+        console.log(`🔄 User ${userId} is renewing an active subscription (expires ${existingSubscription.expires_at})`);
+      }
       
-      if (!tonAmountForUSD) {
-        // Fallback if price fetch fails - use a default estimate (assume $2.50 per TON)
-        console.warn('⚠️ Could not fetch TON price, using fallback estimate');
-        const fallbackPrice = 2.5;
-        tonAmountForUSD = 1.0 / fallbackPrice; // ~0.4 TON for $1
+      // Quote TON and USDT for the plan's price; the TON quote is honoured until quoteExpiresAt
+      const quote = await priceService.quotePlan(plan);
+      if (!quote) {
+        // No trustworthy price - refuse to quote rather than guess
+        console.warn(`⚠️ No TON price available, not quoting plan ${plan.id} for user ${userId}`);
+        await this.bot.sendMessage(chatId, '⚠️ 現在TONの価格（円・ドル）を取得できないため、お見積もりを作成できません。数分後にもう一度お試しください。', this.createKeyboard([
+          [{ text: '🔄 もう一度試す', callback_data: `plan_${plan.id}` }],
+          [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+        ]));
+        return;
       }
+      const tonAmount = quote.tonAmount;
+      const usdtAmount = quote.usdtAmount;
+      const quoteExpiresAt = new Date(Date.now() + config.PAYMENT_INTENT.QUOTE_EXPIRY_MINUTES * 60 * 1000);
       
-      const tonAmountNano = Math.floor(tonAmountForUSD * config.TON_CONVERSIONS.NANO_TO_TON); // Convert to nanoTON
+      const tonAmountNano = Math.floor(tonAmount * config.TON_CONVERSIONS.NANO_TO_TON); // Convert to nanoTON
+      const usdtAmountMicro = Math.round(usdtAmount * config.TON_CONVERSIONS.MICRO_USDT_TO_USDT); // Convert to microUSDT
       const paymentReference = `english-bot-${userId}-${Date.now()}`;
+      const usdtPaymentReference = `${paymentReference}-usdt`;
       
       console.log(`💎 Creating payment links for user ${userId}`);
-      console.log(`💰 TON Amount: ${tonAmountForUSD.toFixed(4)} TON (≈ $1.00, ${tonAmountNano} nanoTON)`);
-      console.log(`🔗 Reference: ${paymentReference}`);
+      console.log(`💰 TON Amount: ${tonAmount.toFixed(4)} TON (${plan.price} ${plan.currency}, ${tonAmountNano} nanoTON, ${quote.tonSource} price ${quote.tonPrice} ${plan.currency})`);
+      console.log(`💵 USDT Amount: ${usdtAmount.toFixed(2)} USDT (${usdtAmountMicro} microUSDT, ${quote.usdtSource})`);
+      console.log(`🔗 Reference: ${paymentReference} / ${usdtPaymentReference}`);
       
       // Create TON deep link for Tonkeeper
       const tonDeepLink = `ton://transfer/${config.TON_ADDRESS}?amount=${tonAmountNano}&text=${paymentReference}`;
       console.log(`🔗 TON Deep Link: ${tonDeepLink}`);
       
-      // Store payment reference for verification (store both amounts)
-      // Use an array to store multiple pending payments per user to prevent clashes
-      
-      // Get existing pending payments for this user (if any)
-      const existingPayments = this.pendingPayments.get(userId.toString()) || [];
+      // Create USDT jetton transfer deep link for Tonkeeper
+      const usdtDeepLink = `ton://transfer/${config.TON_ADDRESS}?jetton=${config.USDT_CONTRACT_ADDRESS}&amount=${usdtAmountMicro}&text=${usdtPaymentReference}`;
+      console.log(`🔗 USDT Deep Link: ${usdtDeepLink}`);
       
-      // Add new payment to the array
-      const newPayment = {
+      // Persist one payment intent per currency so the check survives restarts and deploys
+      const expiresAt = new Date(Date.now() + config.PAYMENT_INTENT.EXPIRY_HOURS * 60 * 60 * 1000);
+      await database.createPaymentIntent({
         reference: paymentReference,
-        amount: tonAmountNano,
-        tonAmount: tonAmountForUSD,
-        timestamp: Date.now()
-      };
-      
-      // Keep only the 3 most recent pending payments per user (to prevent memory issues)
-      existingPayments.push(newPayment);
-      const recentPayments = existingPayments.slice(-3);
-      
-      this.pendingPayments.set(userId.toString(), recentPayments);
+        telegramUserId: userId.toString(),
+        chatId,
+        amountNano: tonAmountNano,
+        currency: 'TON',
+        planId: plan.id,
+        quote: {
+          priceCurrency: plan.currency,
+          priceAmount: plan.price,
+          usdAmount: usdtAmount,
+          tonPrice: quote.tonPrice,
+          priceSource: quote.tonSource,
+          expiresAt: quoteExpiresAt
+        },
+        expiresAt
+      });
+      await database.createPaymentIntent({
+        reference: usdtPaymentReference,
+        telegramUserId: userId.toString(),
+        chatId,
+        amountNano: usdtAmountMicro,
+        currency: 'USDT',
+        planId: plan.id,
+        quote: {
+          priceCurrency: plan.currency,
+          priceAmount: plan.price,
+          usdAmount: usdtAmount,
+          priceSource: quote.usdtSource // The USDT amount is fixed once quoted
+        },
+        expiresAt
+      });
       
-      // Create Telegram Wallet Mini App link with TON Connect
+      // Create Telegram Wallet Mini App links with TON Connect
       // This opens a web app that uses TON Connect to connect to Telegram Wallet
-      const paymentAppUrl = `https://eigobot.com/pay.html?address=${config.TON_ADDRESS}&amount=${tonAmountNano}&ton=${tonAmountForUSD.toFixed(4)}&ref=${encodeURIComponent(paymentReference)}&user=${userId}`;
+      const jpyParam = quote.jpyAmount != null ? `&jpy=${quote.jpyAmount}` : '';
+      const planParams = `&plan=${encodeURIComponent(plan.name)}&days=${plan.days}${jpyParam}`;
+      const paymentAppUrl = `https://eigobot.com/pay.html?address=${config.TON_ADDRESS}&amount=${tonAmountNano}&ton=${tonAmount.toFixed(4)}&ref=${encodeURIComponent(paymentReference)}${planParams}`;
+      const usdtPaymentAppUrl = `https://eigobot.com/pay.html?mode=usdt&address=${config.TON_ADDRESS}&jetton=${config.USDT_CONTRACT_ADDRESS}&amount=${usdtAmountMicro}&usdt=${usdtAmount.toFixed(2)}&ref=${encodeURIComponent(usdtPaymentReference)}${planParams}`;
       console.log(`🔗 Payment App URL: ${paymentAppUrl}`);
+      console.log(`🔗 USDT Payment App URL: ${usdtPaymentAppUrl}`);
       
       // Create payment buttons
       // Note: web_app button opens the Mini App inside Telegram
       const keyboard = {
         reply_markup: {
           inline_keyboard: [
-            [{ text: `📱 Telegram Wallet (${tonAmountForUSD.toFixed(4)} TON)`, web_app: { url: paymentAppUrl } }],
-            [{ text: `💎 Tonkeeper (${tonAmountForUSD.toFixed(4)} TON)`, url: tonDeepLink }],
+            [{ text: `📱 Telegram Wallet (${tonAmount.toFixed(4)} TON)`, web_app: { url: paymentAppUrl } }],
+            [{ text: `💎 Tonkeeper (${tonAmount.toFixed(4)} TON)`, url: tonDeepLink }],
+            [{ text: `📱 Telegram Wallet (${usdtAmount.toFixed(2)} USDT)`, web_app: { url: usdtPaymentAppUrl } }],
+            [{ text: `💵 Tonkeeper (${usdtAmount.toFixed(2)} USDT)`, url: usdtDeepLink }],
             [{ text: '✅ 支払い済み', callback_data: `check_payment_${userId}` }],
+            [{ text: '📋 プランを選び直す', callback_data: 'subscribe' }],
             [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
           ]
         }
       };
       
+      const priceLine = await priceService.formatPriceMessage(quote);
       const message = `💎 英語学習ボットを購読する
 
-💰 料金: ${tonAmountForUSD.toFixed(4)} TON (≈ $1.00)
-📅 期間: 30日間の毎日のレッスン
+📋 プラン: ${plan.name}
+${priceLine}
+📅 期間: ${plan.days}日間の毎日のレッスン
+⏰ TONの価格は${this.formatTime(quoteExpiresAt)}まで（${config.PAYMENT_INTENT.QUOTE_EXPIRY_MINUTES}分間）有効です。それ以降のTONでのお支払いは最新レートで再計算されます。
 
 🎯 含まれるもの:
 • 毎日の英語レッスン
@@ -348,7 +591,11 @@ class TelegramBotHandler {
 
 💳 下からお支払い方法を選択してください！`;
 
-      await this.bot.sendMessage(chatId, message, keyboard);
+      const renewalNote = existingSubscription
+        ? `\n\n🔄 現在の購読は${this.formatDate(existingSubscription.expires_at)}まで有効です。お支払い後、その日から${plan.days}日間延長されます。`
+        : '';
+
+      await this.bot.sendMessage(chatId, message + renewalNote, keyboard);
       console.log(`✅ Payment link sent to user ${userId}`);
       
     } catch (error) {
@@ -376,7 +623,9 @@ class TelegramBotHandler {
       const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || '不明';
       
       let settingsMessage = `⚙️ 設定\n\n`;
-      settingsMessage += `現在の難易度レベル: ${user.difficulty_level} (${levelName})\n\n`;
+      settingsMessage += `⏰ 配信時刻: 毎日${this.formatDeliverySchedule(user)}\n`;
+      settingsMessage += `現在の難易度レベル: ${user.difficulty_level} (${levelName})\n`;
+      settingsMessage += `🤖 自動調整: ${AUTO_LEVEL_MODES[user.auto_level] || AUTO_LEVEL_MODES.off}\n\n`;
       settingsMessage += `難易度を選択してください:\n`;
 
       Object.entries(config.DIFFICULTY_LEVELS).forEach(([level, info]) => {
@@ -393,6 +642,11 @@ class TelegramBotHandler {
           { text: 'レベル 4', callback_data: 'level_4' },
           { text: 'レベル 5', callback_data: 'level_5' }
         ],
+        [
+          { text: '⏰ 配信時刻', callback_data: 'delivery_time' },
+          { text: '🌍 タイムゾーン', callback_data: 'timezone' }
+        ],
+        [{ text: '🤖 難易度の自動調整', callback_data: 'auto_level' }],
         [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
       ]);
 
@@ -403,6 +657,77 @@ class TelegramBotHandler {
     }
   }
 
+  // Show the delivery time picker (times are local to the user's timezone)
+  async handleChooseDeliveryTime(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ ユーザーが見つかりません。まず/startを使用してください。');
+        return;
+      }
+
+      const buttons = [];
+      const times = config.DELIVERY.TIME_OPTIONS;
+      for (let i = 0; i < times.length; i += 4) {
+        buttons.push(times.slice(i, i + 4).map(time => ({ text: time, callback_data: `time_${time}` })));
+      }
+      buttons.push([{ text: '⚙️ 設定に戻る', callback_data: 'settings' }]);
+
+      await this.bot.sendMessage(chatId, `⏰ 配信時刻を選択してください\n\n現在: 毎日${this.formatDeliverySchedule(user)}`, this.createKeyboard(buttons));
+    } catch (error) {
+      console.error('❌ Error in handleChooseDeliveryTime:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  // Show the timezone picker
+  async handleChooseTimezone(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ ユーザーが見つかりません。まず/startを使用してください。');
+        return;
+      }
+
+      const buttons = [];
+      const options = config.DELIVERY.TIMEZONE_OPTIONS;
+      for (let i = 0; i < options.length; i += 2) {
+        buttons.push(options.slice(i, i + 2).map(tz => ({ text: tz.name, callback_data: `tz_${tz.id}` })));
+      }
+      buttons.push([{ text: '⚙️ 設定に戻る', callback_data: 'settings' }]);
+
+      await this.bot.sendMessage(chatId, `🌍 タイムゾーンを選択してください\n\n現在: 毎日${this.formatDeliverySchedule(user)}`, this.createKeyboard(buttons));
+    } catch (error) {
+      console.error('❌ Error in handleChooseTimezone:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  // Save a delivery time or timezone picked from the settings screen
+  async handleSetDelivery(chatId, userId, { deliveryTime, timezone }) {
+    try {
+      const isValidTime = !deliveryTime || config.DELIVERY.TIME_OPTIONS.includes(deliveryTime);
+      const isValidTimezone = !timezone || config.DELIVERY.TIMEZONE_OPTIONS.some(tz => tz.id === timezone);
+      if (!isValidTime || !isValidTimezone) {
+        await this.handleSettings(chatId, userId);
+        return;
+      }
+
+      await database.updateUserDelivery(userId.toString(), { deliveryTime, timezone });
+      const user = await database.getUser(userId.toString());
+
+      const keyboard = this.createKeyboard([
+        [{ text: '⚙️ 設定に戻る', callback_data: 'settings' }],
+        [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, `✅ 配信時刻が更新されました！\n\n毎日のレッスンは${this.formatDeliverySchedule(user)}に送信されます。`, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleSetDelivery:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
   // CRITICAL FIX: Update user level and verify the change
   async handleSetLevel(chatId, userId, level) {
     console.log(`🎯 Handling level change request: ${level} for user ${userId}`);
@@ -412,8 +737,20 @@ class TelegramBotHandler {
       
       // Update user level in database
       console.log(`📝 Updating user ${userId} to level ${level}`);
-      const result = await database.updateUserLevel(userId.toString(), level);
-      console.log(`📊 Database update result: ${result} rows affected`);
+      const previousUser = await database.getUser(userId.toString());
+      
+      // A manual change also restarts the adaptive difficulty cooldown
+      if (previousUser && previousUser.difficulty_level !== level) {
+        await database.applyLevelChange({
+          telegramUserId: userId.toString(),
+          fromLevel: previousUser.difficulty_level,
+          toLevel: level,
+          source: 'manual'
+        });
+      } else {
+        const result = await database.updateUserLevel(userId.toString(), level);
+        console.log(`📊 Database update result: ${result} rows affected`);
+      }
       
       // CRITICAL FIX: Verify the update by fetching fresh data
       console.log(`🔍 Verifying update for user ${userId}`);
@@ -437,6 +774,114 @@ class TelegramBotHandler {
     }
   }
 
+  // Show the adaptive difficulty modes
+  async handleChooseAutoLevel(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ ユーザーが見つかりません。まず/startを使用してください。');
+        return;
+      }
+
+      const { WINDOW_DAYS, PROMOTE_SCORE, DEMOTE_SCORE } = config.ADAPTIVE_LEVEL;
+      const message = `🤖 難易度の自動調整
+
+過去${WINDOW_DAYS}日間の練習の点数とクイズの正答率から、レベルの変更を判断します。
+• 平均${PROMOTE_SCORE}点以上: レベルアップ
+• 平均${DEMOTE_SCORE}点未満: レベルダウン
+
+現在: ${AUTO_LEVEL_MODES[user.auto_level] || AUTO_LEVEL_MODES.off}`;
+
+      const keyboard = this.createKeyboard([
+        ...Object.entries(AUTO_LEVEL_MODES).map(([mode, label]) => [
+          { text: `${user.auto_level === mode ? '✅ ' : ''}${label}`, callback_data: `autolevel_${mode}` }
+        ]),
+        [{ text: '⚙️ 設定に戻る', callback_data: 'settings' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, message, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleChooseAutoLevel:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  async handleSetAutoLevel(chatId, userId, mode) {
+    if (!AUTO_LEVEL_MODES[mode]) {
+      await this.handleChooseAutoLevel(chatId, userId);
+      return;
+    }
+
+    await database.updateUserAutoLevel(userId.toString(), mode);
+    const keyboard = this.createKeyboard([
+      [{ text: '⚙️ 設定に戻る', callback_data: 'settings' }],
+      [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+    ]);
+    await this.bot.sendMessage(chatId, `✅ 難易度の自動調整を「${AUTO_LEVEL_MODES[mode]}」にしました。`, keyboard);
+  }
+
+  // Undo an automatic level change
+  async handleUndoLevelChange(chatId, userId, changeId) {
+    const change = await database.getLevelChange(changeId);
+    const user = await database.getUser(userId.toString());
+    if (!change || !user || change.telegram_user_id !== userId.toString()) {
+      return;
+    }
+
+    // Only the latest automatic change can be undone, and only while it is still in effect
+    const latest = await database.getLatestLevelChange(userId.toString());
+    const undoable = change.source === 'auto' && latest && latest.id === change.id && user.difficulty_level === change.to_level;
+    if (!undoable || !(await database.resolveLevelChangeWithLevel(change, 'applied', 'undone', change.from_level))) {
+      await this.bot.sendMessage(chatId, `ℹ️ この変更はすでに取り消されたか、その後レベルが変更されています。\n\n現在のレベル: ${user.difficulty_level}`);
+      return;
+    }
+
+    console.log(`↩️ User ${userId} undid level change ${change.id} (${change.to_level} → ${change.from_level})`);
+
+    const keyboard = this.createKeyboard([
+      [{ text: '🤖 自動調整の設定', callback_data: 'auto_level' }],
+      [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+    ]);
+    await this.bot.sendMessage(chatId, `↩️ レベル ${change.from_level}（${config.DIFFICULTY_LEVELS[change.from_level].name}）に戻しました。
+
+${config.ADAPTIVE_LEVEL.COOLDOWN_DAYS}日間は自動でレベルを変更しません。`, keyboard);
+  }
+
+  // Accept or decline a suggested level change
+  async handleLevelSuggestion(chatId, userId, changeId, accepted) {
+    const change = await database.getLevelChange(changeId);
+    const user = await database.getUser(userId.toString());
+    if (!change || !user || change.telegram_user_id !== userId.toString()) {
+      return;
+    }
+
+    // The level may have been changed by hand since the suggestion was sent
+    if (user.difficulty_level !== change.from_level) {
+      await database.resolveLevelChange(change.id, 'suggested', 'declined');
+      await this.bot.sendMessage(chatId, `ℹ️ この提案は古くなっています。\n\n現在のレベル: ${user.difficulty_level}`);
+      return;
+    }
+
+    const resolved = accepted
+      ? await database.resolveLevelChangeWithLevel(change, 'suggested', 'applied', change.to_level)
+      : await database.resolveLevelChange(change.id, 'suggested', 'declined');
+    if (!resolved) {
+      await this.bot.sendMessage(chatId, 'ℹ️ この提案にはすでに回答済みです。');
+      return;
+    }
+
+    const keyboard = this.createKeyboard([
+      [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+    ]);
+
+    if (accepted) {
+      console.log(`🎯 User ${userId} accepted level change ${change.id} (${change.from_level} → ${change.to_level})`);
+      await this.bot.sendMessage(chatId, `✅ 難易度がレベル ${change.to_level}（${config.DIFFICULTY_LEVELS[change.to_level].name}）に更新されました！`, keyboard);
+    } else {
+      await this.bot.sendMessage(chatId, `👌 レベル ${change.from_level} のまま続けます。`, keyboard);
+    }
+  }
+
   async handleUnsubscribe(chatId, userId) {
     try {
       console.log(`🚫 Handling unsubscribe request for user ${userId}`);
@@ -481,20 +926,20 @@ class TelegramBotHandler {
     try {
       console.log(`💳 Checking payment for user ${userId}`);
       
-      // Check if we have pending payment data
-      if (!this.pendingPayments || !this.pendingPayments.has(userId.toString())) {
-        this.checkingPayments.delete(checkKey);
-        await this.bot.sendMessage(chatId, '❌ 保留中の支払いが見つかりません。再度購読してください。');
-        return;
-      }
-      
-      const pendingPaymentsList = this.pendingPayments.get(userId.toString());
-      
-      // Check if it's an array (new format) or object (old format) for backwards compatibility
-      const paymentsToCheck = Array.isArray(pendingPaymentsList) ? pendingPaymentsList : [pendingPaymentsList];
+      // Load pending payment intents from the database
+      const paymentsToCheck = await database.getPendingPaymentIntents(
+        userId.toString(),
+        config.PAYMENT_INTENT.MAX_PENDING_PER_USER
+      );
       
       if (paymentsToCheck.length === 0) {
         this.checkingPayments.delete(checkKey);
+        // The background payment watcher may already have confirmed the payment
+        const subscription = await database.getActiveSubscription(userId.toString());
+        if (subscription) {
+          await this.bot.sendMessage(chatId, '✅ お支払いはすでに確認済みです。購読は有効です！');
+          return;
+        }
         await this.bot.sendMessage(chatId, '❌ 保留中の支払いが見つかりません。再度購読してください。');
         return;
       }
@@ -504,128 +949,50 @@ class TelegramBotHandler {
       // Send checking message (only one message to user)
       await this.bot.sendMessage(chatId, '🔍 お支払いを確認中です... しばらくお待ちください。');
       
-      // Wait before first check (silent - no message to user)
-      await new Promise(resolve => setTimeout(resolve, config.PAYMENT_CHECK.INITIAL_DELAY_MS));
-      
       try {
-        let paymentFound = false;
-        let foundPaymentData = null;
-        const maxAttempts = config.PAYMENT_CHECK.MAX_ATTEMPTS;
-        
-        // Loop check up to 3 times
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-          try {
-            console.log(`🔍 Payment check attempt ${attempt}/${maxAttempts}`);
-            
-            // Check TON blockchain for payment
-            const response = await axios.get(`https://tonapi.io/v2/blockchain/accounts/${config.TON_ADDRESS}/transactions`, {
-              headers: {
-                'Authorization': `Bearer ${config.TON_API_KEY}`
-              },
-              params: {
-                limit: config.PAYMENT_CHECK.TRANSACTION_LIMIT
-              }
-            });
-            
-            console.log(`📊 TON API response: ${response.status}`);
-            
-            // Look for payment with matching reference
-            const transactions = response.data.transactions || [];
-            
-            console.log(`🔍 Searching ${transactions.length} transactions for payments...`);
-            
-            // Check all pending payments in reverse order (most recent first)
-            // Use slice() to avoid mutating the original array
-            const paymentsReversed = [...paymentsToCheck].reverse();
-            for (const paymentData of paymentsReversed) {
-              console.log(`🔍 Checking payment reference: ${paymentData.reference}`);
-              
-              // Check TON transactions first
-              for (const tx of transactions) {
-                // Check in_msg for text comment (TON payment)
-                if (tx.in_msg && tx.in_msg.decoded_body && tx.in_msg.decoded_body.text) {
-                  const messageText = tx.in_msg.decoded_body.text;
-                  // Use exact match to prevent substring clashes
-                  if (messageText === paymentData.reference || messageText.includes(paymentData.reference)) {
-                    console.log(`✅ TON Payment found in in_msg: ${paymentData.reference}`);
-                    paymentFound = true;
-                    foundPaymentData = paymentData;
-                    break;
-                  }
-                }
-                
-                // Check out_msgs for text comment
-                if (tx.out_msgs && tx.out_msgs.length > 0) {
-                  for (const outMsg of tx.out_msgs) {
-                    if (outMsg.decoded_body && outMsg.decoded_body.text) {
-                      const messageText = outMsg.decoded_body.text;
-                      // Use exact match to prevent substring clashes
-                      if (messageText === paymentData.reference || messageText.includes(paymentData.reference)) {
-                        console.log(`✅ TON Payment found in out_msg: ${paymentData.reference}`);
-                        paymentFound = true;
-                        foundPaymentData = paymentData;
-                        break;
-                      }
-                    }
-                  }
-                }
-                
-                if (paymentFound) break;
-              }
-              
-              if (paymentFound) break;
-            }
-            
-            // If payment found, break out of retry loop
-            if (paymentFound) {
-              break;
-            }
-            
-            // If not found and not last attempt, wait before next check (silent - no message to user)
-            if (attempt < maxAttempts) {
-              console.log(`⏳ Payment not found on attempt ${attempt}, waiting before retry...`);
-              await new Promise(resolve => setTimeout(resolve, config.PAYMENT_CHECK.RETRY_DELAY_MS));
-            }
-            
-          } catch (apiError) {
-            console.error(`❌ TON API Error on attempt ${attempt}:`, apiError.message);
-            
-            // If not last attempt, wait and retry
-            if (attempt < maxAttempts) {
-              console.log(`⏳ API error on attempt ${attempt}, waiting before retry...`);
-              await new Promise(resolve => setTimeout(resolve, config.PAYMENT_CHECK.RETRY_DELAY_MS));
-            } else {
-              // Last attempt failed with API error
-              await this.bot.sendMessage(chatId, '❌ お支払いの確認が一時的に利用できません。数分後にもう一度お試しください。');
-              return;
-            }
-          }
+        // Check TON blockchain for payment (silent retries - no messages to user)
+        let search;
+        try {
+          search = await paymentVerifier.findPayment(paymentsToCheck);
+        } catch (apiError) {
+          // Every attempt failed with an API error
+          await this.bot.sendMessage(chatId, '❌ お支払いの確認が一時的に利用できません。数分後にもう一度お試しください。');
+          return;
         }
+        
+        const paymentFound = !!search.paid;
+        const foundPaymentData = search.paid ? search.paid.intent : null;
+        const underpayment = search.underpayment;
       
       // Send result message
       if (paymentFound && foundPaymentData) {
-        // Payment confirmed - create subscription
-        await database.createSubscription(userId.toString(), foundPaymentData.reference, config.SUBSCRIPTION_DAYS);
-        
-        // Remove ALL pending payments for this user (payment confirmed)
-        this.pendingPayments.delete(userId.toString());
-        
-        // Send success message (only one message sent)
-        const successMessage = `🎉 お支払いが確認されました！30日間の購読が有効になりました。`;
-        
-        const keyboard = this.createKeyboard([
-          [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
-        ]);
+        // Payment confirmed - activate the subscription (idempotent per reference/tx hash)
+        const outcome = await this.handlePaymentSuccess(chatId, userId, foundPaymentData.reference, search.paid.result.transaction.hash);
         
-        await this.bot.sendMessage(chatId, successMessage, keyboard);
-        
-        // Send immediate lesson
-        await this.sendImmediateSentence(chatId, userId);
+        if (outcome === 'already_processed') {
+          const subscription = await database.getSubscriptionByPayment(foundPaymentData.reference, search.paid.result.transaction.hash);
+          if (subscription) {
+            await this.bot.sendMessage(chatId, '✅ お支払いはすでに確認済みです。購読は有効です！');
+          }
+        }
         
+      } else if (underpayment) {
+        // Payment found but the amount is too low - tell the user how much is missing
+        await this.bot.sendMessage(chatId, this.formatUnderpaymentMessage(underpayment));
       } else {
         // Payment not found after 3 attempts
         // Only one failure message sent
-        await this.bot.sendMessage(chatId, `❌ 3回試行してもお支払いが見つかりませんでした。数分後にもう一度お試しください。`);
+        const expiredQuote = paymentsToCheck.find(intent => paymentVerifier.isQuoteExpired(intent));
+        if (expiredQuote) {
+          // The TON price is no longer valid - offer a fresh quote for the same plan
+          const plan = this.getPlan(expiredQuote.plan_id);
+          await this.bot.sendMessage(chatId, `❌ お支払いが見つかりませんでした。\n\n⏰ TONの見積もりの有効期限が切れています。まだお支払いでない場合は、新しい見積もりを取得してください。`, this.createKeyboard([
+            [{ text: '🔄 新しい見積もりを取得', callback_data: `plan_${plan.id}` }],
+            [{ text: '✅ 支払い済み', callback_data: `check_payment_${userId}` }]
+          ]));
+        } else {
+          await this.bot.sendMessage(chatId, `❌ 3回試行してもお支払いが見つかりませんでした。数分後にもう一度お試しください。`);
+        }
         }
         
       } catch (error) {
@@ -647,6 +1014,24 @@ class TelegramBotHandler {
   }
 
 
+  // Build the message shown when a payment arrived but does not cover the quoted amount
+  formatUnderpaymentMessage(result) {
+    const isUsdt = result.currency === 'USDT';
+    const format = (amount) => isUsdt
+      ? `${(amount / config.TON_CONVERSIONS.MICRO_USDT_TO_USDT).toFixed(2)} USDT`
+      : `${(amount / config.TON_CONVERSIONS.NANO_TO_TON).toFixed(4)} TON`;
+    const requoteNote = result.requoted
+      ? '\n⏰ 見積もりの有効期限後のお支払いのため、現在のレートで再計算しました。\n'
+      : '';
+    return `⚠️ お支払い金額が不足しています
+${requoteNote}
+💰 必要な金額: ${format(result.expectedAmount)}
+📥 受け取った金額: ${format(result.receivedAmount)}
+❗ 不足額: ${format(result.shortfallAmount)}
+
+同じコメント（参照番号）で不足額をお送りいただき、もう一度「✅ 支払い済み」を押してください。`;
+  }
+
   async handleMessage(msg) {
     // Handle user responses to sentences
     console.log(`📝 User text message: ${msg.text}`);
@@ -655,8 +1040,9 @@ class TelegramBotHandler {
     const hasJapaneseScript = /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(msg.text);
     
     if (!hasJapaneseScript) {
-      console.log('🇬🇧 User typed in English - not responding (probably practicing)');
-      return; // Don't respond to English text (they're practicing the lesson)
+      console.log('🇬🇧 User typed in English - grading as practice');
+      await this.handlePractice(msg);
+      return;
     }
     
     // Show main menu buttons when user types Japanese (they want to navigate)
@@ -677,7 +1063,7 @@ class TelegramBotHandler {
             ],
             [
               { text: '💳 購読する', callback_data: 'subscribe' },
-              { text: '⚙️ 難易度', callback_data: 'settings' }
+              { text: '⚙️ 設定', callback_data: 'settings' }
             ]
           ]
         }
@@ -686,7 +1072,7 @@ class TelegramBotHandler {
       const welcomeMessage = `🇬🇧 英語学習ボットへようこそ！
 
 📖 毎日の英語の文章を受け取って、語学力を向上させましょう！
-💰 TON暗号通貨で30日間のレッスンを購読できます。
+💰 TONまたはUSDTで7日間から1年間までのプランを購読できます。
 
 🎯 難易度を選択して学習を始めましょう！`;
 
@@ -697,33 +1083,278 @@ class TelegramBotHandler {
     }
   }
 
+  // Grade an English practice answer against the user's latest lesson sentence
+  async handlePractice(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        console.log(`⚠️ Practice from unknown user ${userId} - ignoring`);
+        return;
+      }
+
+      // Only subscribers receive lessons, so only they have a sentence to practice
+      const subscription = await database.getActiveSubscription(userId.toString());
+      if (!subscription) {
+        console.log(`⚠️ Practice from user ${userId} without active subscription - ignoring`);
+        return;
+      }
+
+      // The lesson this user actually received; older users may predate the delivery log
+      const delivery = await database.getLatestDelivery(userId.toString());
+      const sentence = delivery
+        ? { id: delivery.sentence_id, english_text: delivery.english_text }
+        : await database.getLatestSentence(user.difficulty_level);
+      if (!sentence) {
+        console.log(`⚠️ No lesson sentence found for level ${user.difficulty_level} - ignoring practice`);
+        return;
+      }
+
+      const result = gradingService.grade(sentence.english_text, msg.text);
+      console.log(`📝 Practice graded for user ${userId}: ${result.score} (${result.band})`);
+
+      await database.saveUserProgress(userId.toString(), sentence.id, msg.text, result.score, result.isCorrect);
+
+      await this.bot.sendMessage(chatId, gradingService.formatResult(result, sentence.english_text));
+    } catch (error) {
+      console.error('❌ Error in handlePractice:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  // Show the next due flashcard (/review): the word first, the meaning on request
+  async handleReview(chatId, userId) {
+    try {
+      const subscription = await database.getActiveSubscription(userId.toString());
+      if (!subscription) {
+        const keyboard = this.createKeyboard([
+          [{ text: '💳 購読する', callback_data: 'subscribe' }]
+        ]);
+        await this.bot.sendMessage(chatId, '❌ 復習機能を使うには購読が必要です。', keyboard);
+        return;
+      }
+
+      const summary = await database.getVocabDeckSummary(userId.toString());
+      const [card] = await database.getDueVocabCards(userId.toString());
+      if (!card) {
+        const next = summary.nextDueAt
+          ? `\n\n⏭️ 次の復習: ${this.formatDate(summary.nextDueAt)} ${this.formatTime(summary.nextDueAt)}`
+          : '';
+        const message = summary.total > 0
+          ? `🎉 今復習する単語はありません！（単語帳: ${summary.total}語）${next}`
+          : '📭 単語帳はまだ空です。毎日のレッスンの単語が自動で追加されます。';
+        await this.bot.sendMessage(chatId, message);
+        return;
+      }
+
+      const keyboard = this.createKeyboard([
+        [{ text: '👀 意味を見る', callback_data: `review_show_${card.id}` }]
+      ]);
+
+      await this.bot.sendMessage(chatId, `🔁 単語の復習（残り${summary.due}語）
+
+📝 ${card.word}
+
+意味を思い出してから「意味を見る」を押してください。`, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleReview:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  // Reveal a flashcard's meaning and ask whether the user remembered it
+  async handleShowCard(chatId, userId, cardId) {
+    const card = await database.getVocabCard(cardId);
+    if (!card || card.telegram_user_id !== userId.toString()) {
+      await this.handleReview(chatId, userId);
+      return;
+    }
+
+    const katakana = this.sanitizePronunciation(card.pronunciation || '');
+    const keyboard = this.createKeyboard([
+      [
+        { text: '✅ 覚えた', callback_data: `review_ok_${card.id}` },
+        { text: '🔁 まだ', callback_data: `review_again_${card.id}` }
+      ]
+    ]);
+
+    await this.bot.sendMessage(chatId, `📝 ${card.word}${katakana ? `（${katakana}）` : ''}
+
+🔤 意味: ${card.meaning}`, keyboard);
+  }
+
+  // Reschedule a card from the flashcard answer, then show the next due card
+  async handleReviewAnswer(chatId, userId, cardId, remembered) {
+    const card = await database.getVocabCard(cardId);
+    if (!card || card.telegram_user_id !== userId.toString()) {
+      await this.handleReview(chatId, userId);
+      return;
+    }
+
+    const now = new Date();
+    const result = spacedRepetition.review(card, remembered, now);
+    const updated = await database.updateVocabCardReview(card.id, result, now);
+    if (!updated) {
+      // Old button pressed again - the card was already rescheduled
+      console.log(`ℹ️ Card ${card.id} already reviewed by user ${userId}`);
+      await this.handleReview(chatId, userId);
+      return;
+    }
+
+    console.log(`🔁 Card ${card.id} reviewed by user ${userId}: ${remembered ? 'remembered' : 'forgotten'}, next in ${result.intervalDays} days`);
+    const feedback = remembered
+      ? `✅ 「${card.word}」 次の復習は${result.intervalDays}日後です。`
+      : `🔁 「${card.word}」 明日もう一度復習しましょう。`;
+    await this.bot.sendMessage(chatId, feedback);
+
+    await this.handleReview(chatId, userId);
+  }
+
+  // Ask a multiple-choice question about a stored sentence at the user's level (/quiz)
+  async handleQuiz(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      const subscription = user && await database.getActiveSubscription(userId.toString());
+      if (!subscription) {
+        const keyboard = this.createKeyboard([
+          [{ text: '💳 購読する', callback_data: 'subscribe' }]
+        ]);
+        await this.bot.sendMessage(chatId, '❌ クイズを利用するには購読が必要です。', keyboard);
+        return;
+      }
+
+      const sentence = await database.getRandomSentence(user.difficulty_level);
+      const others = sentence ? await database.getQuizDistractorSentences(sentence.id, user.difficulty_level) : [];
+      const quiz = sentence && quizService.buildQuiz(sentence, others);
+      if (!quiz) {
+        await this.bot.sendMessage(chatId, '📭 クイズにできるレッスンがまだありません。毎日のレッスンを受け取ってから挑戦してください！');
+        return;
+      }
+
+      const quizId = await database.createQuiz({
+        telegramUserId: userId.toString(),
+        sentenceId: sentence.id,
+        ...quiz
+      });
+
+      const keyboard = this.createKeyboard([
+        quiz.options.map((option, index) => ({
+          text: quizService.labels[index],
+          callback_data: `quiz_${quizId}_${index}`
+        }))
+      ]);
+
+      await this.bot.sendMessage(chatId, quizService.formatQuestion(quiz), keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleQuiz:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
+    }
+  }
+
+  // Grade a quiz answer once and save it to user_progress
+  async handleQuizAnswer(chatId, userId, quizId, optionIndex) {
+    const quiz = await database.getQuiz(quizId);
+    if (!quiz || quiz.telegram_user_id !== userId.toString() || !(optionIndex in quiz.options)) {
+      await this.handleQuiz(chatId, userId);
+      return;
+    }
+
+    const answered = await database.answerQuiz(quiz.id, optionIndex);
+    if (!answered) {
+      console.log(`ℹ️ Quiz ${quiz.id} already answered by user ${userId}`);
+      return;
+    }
+
+    const isCorrect = optionIndex === quiz.answer_index;
+    await database.saveUserProgress(
+      userId.toString(),
+      quiz.sentence_id,
+      quiz.options[optionIndex],
+      isCorrect ? 100 : 0,
+      isCorrect,
+      'quiz'
+    );
+    console.log(`🧩 Quiz ${quiz.id} (${quiz.question_type}) answered by user ${userId}: ${isCorrect ? 'correct' : 'wrong'}`);
+
+    const answer = `${quizService.labels[quiz.answer_index]}. ${quiz.options[quiz.answer_index]}`;
+    const result = isCorrect ? '⭕ 正解です！' : `❌ 残念！ 正解は ${answer} です。`;
+    const keyboard = this.createKeyboard([
+      [{ text: '➡️ 次のクイズ', callback_data: 'quiz' }],
+      [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+    ]);
+
+    await this.bot.sendMessage(chatId, `${result}
+
+📝 ${quiz.english_text}
+🔤 ${quiz.japanese_translation}`, keyboard);
+  }
+
   // Handle payment success callback
-  async handlePaymentSuccess(chatId, userId, paymentReference) {
+  // Shared by the "I paid" button, the payment webhook and the payment watcher.
+  // Activation is idempotent: replays return false and send nothing.
+  // Activate the subscription paid by an intent and notify the user
+  // Resolves 'activated', 'already_processed' (credited before - no notifications) or 'failed' (not activated)
+  async handlePaymentSuccess(chatId, userId, paymentReference, txHash = null) {
+    console.log(`💰 Payment success for user ${userId}, reference: ${paymentReference}, tx: ${txHash}`);
+
+    let plan;
+    let activation;
     try {
-      console.log(`💰 Payment success for user ${userId}, reference: ${paymentReference}`);
+      // The plan chosen at subscribe time decides the length of the period
+      const intent = await database.getPaymentIntent(paymentReference);
+      plan = this.getPlan(intent && intent.plan_id);
       
-      // Create subscription in database
-      await database.createSubscription(userId.toString(), paymentReference, 30);
-      
-      // Send success message
+      // Credit the payment exactly once
+      activation = await database.activateSubscription({
+        telegramUserId: userId.toString(),
+        paymentReference,
+        txHash,
+        planId: plan.id,
+        days: plan.days
+      });
+    } catch (error) {
+      console.error('❌ Error in handlePaymentSuccess:', error);
+      try {
+        await this.bot.sendMessage(chatId, '❌ お支払いは処理されましたが、エラーが発生しました。サポートにお問い合わせください。');
+      } catch (notifyError) {
+        console.error(`❌ Could not notify user ${userId} of the activation error:`, notifyError.message);
+      }
+      return 'failed';
+    }
+    
+    if (!activation.created) {
+      console.log(`ℹ️ Payment ${paymentReference} was already processed - skipping notifications`);
+      return 'already_processed';
+    }
+    
+    // The subscription is active from here on; a failed notification does not undo it
+    try {
+      const user = await database.getUser(userId.toString());
       const successMessage = `🎉 お支払いが完了しました！
 
-✅ 英語学習ボットの購読が開始されました！
-📅 購読は30日間有効です
-🎯 毎日のレッスンは日本時間9時に送信されます`;
+✅ 英語学習ボットの購読が開始されました！（${plan.name}プラン・${plan.days}日間）
+📅 ${this.formatDate(activation.subscription.expires_at)}までお支払い済みです
+🎯 毎日のレッスンは${this.formatDeliverySchedule(user)}に送信されます`;
+
+      const keyboard = this.createKeyboard([
+        [{ text: '🏠 メインメニュー', callback_data: 'back_to_main' }]
+      ]);
 
-      await this.bot.sendMessage(chatId, successMessage);
+      await this.bot.sendMessage(chatId, successMessage, keyboard);
       
       // Send immediate first lesson
       await this.sendImmediateSentence(chatId, userId);
-      
     } catch (error) {
-      console.error('❌ Error in handlePaymentSuccess:', error);
-        await this.bot.sendMessage(chatId, '❌ お支払いは処理されましたが、エラーが発生しました。サポートにお問い合わせください。');
+      console.error(`❌ Error notifying user ${userId} of activated payment ${paymentReference}:`, error);
     }
+    
+    return 'activated';
   }
 
   // Send immediate sentence after payment
+  // It counts as today's lesson, so the scheduler does not send another one today
   async sendImmediateSentence(chatId, userId) {
     try {
       // Get user's difficulty level
@@ -733,27 +1364,58 @@ class TelegramBotHandler {
         return;
       }
 
-      // Generate sentence based on user's difficulty level
-      const sentenceData = await this.generateSentence(user.difficulty_level);
+      // A renewal on a day that already had its lesson gets no extra one
+      const localDate = deliveryTime.getUserLocalDate(user);
+      if (await database.getDelivery(userId.toString(), localDate)) {
+        console.log(`ℹ️ User ${userId} already has today's lesson - skipping immediate sentence`);
+        return;
+      }
+
+      // Today's sentence for the user's difficulty level (shared with the scheduled lessons)
+      const { sentenceData, sentenceId } = await this.getLessonSentence(user.difficulty_level, localDate);
       
-      // Save sentence to database
-      const sentenceId = await this.saveSentence(sentenceData, user.difficulty_level);
+      const message = this.createLessonMessage(sentenceData, '🇬🇧 最初の英語レッスン');
+
+      console.log(`📤 Sending immediate lesson to user ${userId}:`, message);
+      const sent = await this.bot.sendMessage(chatId, message);
+
+      await database.createDelivery({
+        telegramUserId: userId.toString(),
+        sentenceId,
+        localDate,
+        status: 'sent',
+        telegramMessageId: sent && sent.message_id
+      });
+      await database.addVocabCards(
+        userId.toString(),
+        sentenceId,
+        spacedRepetition.extractVocabulary(sentenceData.word_breakdown),
+        spacedRepetition.firstDueAt()
+      );
       
-      // Create word breakdown
-      let wordBreakdown = '';
-      if (sentenceData.word_breakdown && sentenceData.word_breakdown.length > 0) {
-        wordBreakdown = '\n\n📚 単語の解説:\n';
-        for (const word of sentenceData.word_breakdown) {
-          if (typeof word === 'object' && word.word && word.meaning) {
-            const katakana = this.sanitizePronunciation(word.pinyin || '');
-            wordBreakdown += `${word.word} - ${word.meaning} - ${katakana}\n`;
-          } else if (typeof word === 'string') {
-            wordBreakdown += `${word}\n`;
-          }
+      console.log(`✅ Immediate sentence sent to user ${userId}`);
+    } catch (error) {
+      console.error('❌ Error in sendImmediateSentence:', error);
+    }
+  }
+
+  // Lesson text with the word breakdown, under the given title
+  createLessonMessage(sentenceData, title) {
+    // Create word breakdown
+    let wordBreakdown = '';
+    if (sentenceData.word_breakdown && sentenceData.word_breakdown.length > 0) {
+      wordBreakdown = '\n\n📚 単語の解説:\n';
+      for (const word of sentenceData.word_breakdown) {
+        if (typeof word === 'object' && word.word && word.meaning) {
+          const katakana = this.sanitizePronunciation(word.pinyin || '');
+          wordBreakdown += `${word.word} - ${word.meaning} - ${katakana}\n`;
+        } else if (typeof word === 'string') {
+          wordBreakdown += `${word}\n`;
         }
       }
+    }
 
-      const message = `🇬🇧 最初の英語レッスン
+    return `${title}
 
 📝 英語の文章:
 ${sentenceData.english_text}
@@ -764,20 +1426,56 @@ ${sentenceData.japanese_translation}
 英語の文章をタイプしてみましょう！${wordBreakdown}
 
 英語の文章を練習しましょう！`;
+  }
 
-      console.log(`📤 Sending immediate lesson to user ${userId}:`, message);
-      await this.bot.sendMessage(chatId, message);
-      
-      console.log(`✅ Immediate sentence sent to user ${userId}`);
+  // Resend today's lesson (/today), e.g. after deleting the chat or missing the notification
+  async handleToday(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      const subscription = user && await database.getActiveSubscription(userId.toString());
+      if (!subscription) {
+        const keyboard = this.createKeyboard([
+          [{ text: '💳 購読する', callback_data: 'subscribe' }]
+        ]);
+        await this.bot.sendMessage(chatId, '❌ 毎日のレッスンを受け取るには購読が必要です。', keyboard);
+        return;
+      }
+
+      // A failed delivery is resent too - that is when the user lost the lesson
+      const delivery = await database.getDelivery(userId.toString(), deliveryTime.getUserLocalDate(user));
+      if (!delivery) {
+        await this.bot.sendMessage(chatId, `📭 今日のレッスンはまだ送信されていません。
+
+🕘 毎日${this.formatDeliverySchedule(user)}に送信されます。`);
+        return;
+      }
+
+      let wordBreakdown = [];
+      try {
+        wordBreakdown = JSON.parse(delivery.word_breakdown || '[]');
+      } catch (error) {
+        console.error(`❌ Invalid word breakdown for sentence ${delivery.sentence_id}:`, error.message);
+      }
+
+      const message = this.createLessonMessage({
+        english_text: delivery.english_text,
+        japanese_translation: delivery.japanese_translation,
+        word_breakdown: wordBreakdown
+      }, '🇬🇧 今日の英語レッスン（再送）');
+
+      const sent = await this.bot.sendMessage(chatId, message);
+      await database.markDeliveryResent(delivery.id, sent && sent.message_id);
+      console.log(`🔁 Resent today's lesson to user ${userId}`);
     } catch (error) {
-      console.error('❌ Error in sendImmediateSentence:', error);
+      console.error('❌ Error in handleToday:', error);
+      await this.bot.sendMessage(chatId, '❌ 申し訳ございませんが、問題が発生しました。もう一度お試しください。');
     }
   }
 
-  // Generate sentence using DeepSeek API
-  async generateSentence(difficultyLevel) {
+  // Sentence of a level for a local date; a fallback sentence (not recorded as that day's) if DeepSeek fails
+  async getLessonSentence(difficultyLevel, localDate) {
     try {
-      return await deepseekService.generateEnglishSentence(difficultyLevel);
+      return await deepseekService.getDailySentence(difficultyLevel, localDate);
     } catch (error) {
       console.error('❌ Error generating sentence:', error);
       // Fallback sentence
@@ -788,36 +1486,11 @@ ${sentenceData.japanese_translation}
         4: { english_text: 'I like reading books in the library.', japanese_translation: '私は図書館で本を読むのが好きです。', word_breakdown: [{ word: 'I', meaning: '私', pinyin: 'ai' }, { word: 'like', meaning: '好き', pinyin: 'raiku' }, { word: 'reading', meaning: '読むこと', pinyin: 'riidingu' }, { word: 'books', meaning: '本', pinyin: 'bukkusu' }, { word: 'in', meaning: 'で', pinyin: 'in' }, { word: 'the', meaning: 'その', pinyin: 'za' }, { word: 'library', meaning: '図書館', pinyin: 'raibreri' }] },
         5: { english_text: 'I look forward to hearing from you soon.', japanese_translation: '近いうちにご連絡をお待ちしております。', word_breakdown: [{ word: 'I', meaning: '私', pinyin: 'ai' }, { word: 'look forward', meaning: '楽しみにする', pinyin: 'rukku fowaado' }, { word: 'to', meaning: 'に', pinyin: 'tu' }, { word: 'hearing', meaning: '聞くこと', pinyin: 'hiaringu' }, { word: 'from', meaning: 'から', pinyin: 'furomu' }, { word: 'you', meaning: 'あなた', pinyin: 'yuu' }, { word: 'soon', meaning: 'すぐに', pinyin: 'suun' }] }
       };
-      return fallbackSentences[difficultyLevel] || fallbackSentences[1];
+      const sentenceData = fallbackSentences[difficultyLevel] || fallbackSentences[1];
+      return { sentenceData, sentenceId: await database.saveSentence(sentenceData, difficultyLevel) };
     }
   }
 
-  // Save sentence to database
-  async saveSentence(sentenceData, difficultyLevel) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO sentences (english_text, japanese_translation, difficulty_level, word_breakdown)
-        VALUES (?, ?, ?, ?)
-      `;
-      
-      const wordBreakdown = JSON.stringify(sentenceData.word_breakdown || []);
-      
-      database.db.run(query, [
-        sentenceData.english_text,
-        sentenceData.japanese_translation,
-        difficultyLevel,
-        wordBreakdown
-      ], function(err) {
-        if (err) {
-          console.error('❌ Error saving sentence:', err);
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      });
-    });
-  }
-
   // Send daily message to all subscribed users
   async sendDailyMessage() {
     try {
@@ -3,13 +3,35 @@
 // Safe bot testing script - doesn't start polling
 const TelegramBotHandler = require('./src/telegramBot');
 const database = require('./src/database');
+const gradingService = require('./src/services/gradingService');
+
+// Grading regressions: [typed answer, expected isCorrect] against one sentence
+const GRADING_CASES = [
+  ['I went to the store.', true], // exact match
+  ['i wnet to teh store', true], // typos
+  ['i w t t s', false], // initials only
+  ['i we to th st', false] // prefixes only
+];
+
+function testGrading() {
+  const expected = 'I went to the store.';
+  for (const [typed, isCorrect] of GRADING_CASES) {
+    const result = gradingService.grade(expected, typed);
+    if (result.isCorrect !== isCorrect) {
+      throw new Error(`Grading "${typed}" gave ${result.score} (${result.band}), expected isCorrect=${isCorrect}`);
+    }
+  }
+  console.log(`✅ Grading cases passed (${GRADING_CASES.length})`);
+}
 
 async function testBot() {
   try {
+    testGrading();
+    
     console.log('🧪 Testing bot initialization (no polling)...');
     
-    // Initialize database
-    await database.init();
+    // Wait for the connection and migrations (the module opens the connection itself)
+    await database.ready();
     console.log('✅ Database initialized');
     
     // Create bot WITHOUT polling to avoid conflicts
@@ -19,6 +41,8 @@ async function testBot() {
     // Test bot methods without starting polling
     console.log('✅ Bot is ready for testing');
     
+    await database.close();
+    
   } catch (error) {
     console.error('❌ Error:', error.message);
     process.exit(1);